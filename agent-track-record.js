@@ -0,0 +1,179 @@
+// =============================================================================
+// AGENT TRACK RECORD - Per-agent accuracy and calibration for swarm weighting
+// =============================================================================
+//
+// When a swarm-verified market gets its final outcome (oracle auto-settle, admin
+// resolution or a jury verdict), every agent's vote from the primary swarm
+// evidence is scored against it in `oracle_agent_stats/{agent}`. The scored
+// votes are kept in `oracle_agent_scores/{marketId}` so a later override (e.g. a
+// jury overturning the oracle) reverses the old score before applying the new one.
+//
+// getAgentTrackRecords() turns the stats into a vote-weight multiplier and a
+// calibration table per agent, which swarmVerifyResolution applies to each vote.
+
+export const AGENT_TRACK_RECORD_CONFIG = {
+    enabled: true,
+    // Agents keep weight 1 until they have this many decisive (non-AMBIGUOUS) votes scored
+    minVotesForWeight: 10,
+    // Accuracy that maps to weight 1; weights scale with the log-odds of accuracy
+    referenceAccuracy: 0.75,
+    minWeight: 0.25,
+    maxWeight: 3,
+    // Confidence buckets are this many points wide (0-9, 10-19, ..., 90-100)
+    calibrationBucketSize: 10,
+    // A bucket replaces raw confidence with its observed accuracy once it has this many votes
+    minCalibrationVotes: 5
+};
+
+function statsCollection(db, APP_ID) {
+    return db.collection(`artifacts/${APP_ID}/public/data/oracle_agent_stats`);
+}
+
+function scoresCollection(db, APP_ID) {
+    return db.collection(`artifacts/${APP_ID}/public/data/oracle_agent_scores`);
+}
+
+// Lower bound of the calibration bucket holding `confidence` ('0', '10', ..., '90')
+export function confidenceBucket(confidence) {
+    const size = AGENT_TRACK_RECORD_CONFIG.calibrationBucketSize;
+    const clamped = Math.max(0, Math.min(99, Math.round(confidence || 0)));
+    return String(Math.floor(clamped / size) * size);
+}
+
+function emptyStats(agent) {
+    return { agent, votes: 0, correct: 0, abstained: 0, brierSum: 0, calibration: {} };
+}
+
+// Add (sign 1) or remove (sign -1) one scored vote
+function applyVote(stats, vote, finalOutcome, sign) {
+    if (vote.outcome === 'AMBIGUOUS') {
+        stats.abstained += sign;
+        return;
+    }
+    const isCorrect = vote.outcome === finalOutcome;
+    const confidence = Math.max(0, Math.min(100, vote.confidence || 0));
+    stats.votes += sign;
+    stats.correct += isCorrect ? sign : 0;
+    stats.brierSum += sign * (confidence / 100 - (isCorrect ? 1 : 0)) ** 2;
+
+    const key = confidenceBucket(confidence);
+    const bucket = stats.calibration[key] || { votes: 0, correct: 0, confidenceSum: 0 };
+    bucket.votes += sign;
+    bucket.correct += isCorrect ? sign : 0;
+    bucket.confidenceSum += sign * confidence;
+    stats.calibration[key] = bucket;
+}
+
+/**
+ * Score the agents' primary swarm votes on a market against its final outcome.
+ * Re-scoring with a different outcome replaces the earlier score; the same
+ * outcome is a no-op. Markets without swarm evidence are ignored. Never throws -
+ * a failure is logged so it can't block settlement.
+ *
+ * @param {string} source - what decided the outcome ('swarm-verify-auto', 'admin_manual', 'jury_resolved', ...)
+ * @returns {Object|null} { changed, agents } or null when nothing was scored
+ */
+export async function recordAgentOutcomes(db, APP_ID, marketRef, finalOutcome, source) {
+    try {
+        const evidenceSnap = await marketRef.collection('resolutionEvidence').doc('swarm-verify-primary').get();
+        if (!evidenceSnap.exists) return null;
+
+        const votes = (evidenceSnap.data().resolution?.agents || [])
+            .filter(a => a.agent && a.outcome)
+            .map(a => ({ agent: a.agent, outcome: a.outcome, confidence: a.rawConfidence ?? a.confidence ?? 0 }));
+        if (votes.length === 0) return null;
+
+        const scoreRef = scoresCollection(db, APP_ID).doc(marketRef.id);
+        const result = await db.runTransaction(async (transaction) => {
+            const scoreSnap = await transaction.get(scoreRef);
+            const previous = scoreSnap.exists ? scoreSnap.data() : null;
+            if (previous?.finalOutcome === finalOutcome) {
+                return { changed: false, agents: 0 };
+            }
+
+            const previousVotes = previous?.votes || [];
+            const names = [...new Set([...previousVotes, ...votes].map(v => v.agent))];
+            const statRefs = names.map(name => statsCollection(db, APP_ID).doc(name));
+            const statSnaps = await Promise.all(statRefs.map(ref => transaction.get(ref)));
+            const stats = Object.fromEntries(names.map((name, i) => [
+                name,
+                statSnaps[i].exists ? { ...emptyStats(name), ...statSnaps[i].data() } : emptyStats(name)
+            ]));
+
+            previousVotes.forEach(vote => applyVote(stats[vote.agent], vote, previous.finalOutcome, -1));
+            votes.forEach(vote => applyVote(stats[vote.agent], vote, finalOutcome, 1));
+
+            const now = new Date();
+            names.forEach((name, i) => transaction.set(statRefs[i], { ...stats[name], updatedAt: now }));
+            transaction.set(scoreRef, {
+                marketId: marketRef.id,
+                finalOutcome,
+                previousOutcome: previous?.finalOutcome || null,
+                source,
+                votes,
+                scoredAt: now
+            });
+            return { changed: true, agents: names.length };
+        });
+
+        if (result.changed) {
+            console.log(`📐 Agent track record: scored ${result.agents} agents on ${marketRef.id} against ${finalOutcome} (${source})`);
+        }
+        return result;
+    } catch (error) {
+        console.error(`⚠️ Failed to record agent outcomes for ${marketRef.id}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Accuracy, Brier score, vote-weight multiplier and calibration table for one agent's stats.
+ */
+export function summarizeTrackRecord(stats) {
+    const { votes, correct, abstained, brierSum, calibration } = { ...emptyStats(stats?.agent), ...stats };
+    const config = AGENT_TRACK_RECORD_CONFIG;
+
+    // Laplace-smoothed accuracy, mapped to log-odds relative to the reference accuracy
+    let weight = 1;
+    if (config.enabled && votes >= config.minVotesForWeight) {
+        const accuracy = (correct + 1) / (votes + 2);
+        const logOdds = Math.log(accuracy / (1 - accuracy));
+        const referenceLogOdds = Math.log(config.referenceAccuracy / (1 - config.referenceAccuracy));
+        weight = Math.max(config.minWeight, Math.min(config.maxWeight, logOdds / referenceLogOdds));
+    }
+
+    return {
+        votes,
+        correct,
+        abstained,
+        accuracy: votes > 0 ? correct / votes : null,
+        brierScore: votes > 0 ? brierSum / votes : null,
+        weight: Math.round(weight * 100) / 100,
+        calibration: Object.fromEntries(Object.entries(calibration)
+            .filter(([, bucket]) => bucket.votes > 0)
+            .map(([key, bucket]) => [key, {
+                votes: bucket.votes,
+                correct: bucket.correct,
+                meanConfidence: Math.round(bucket.confidenceSum / bucket.votes),
+                accuracy: bucket.correct / bucket.votes,
+                // Confidence the swarm uses for this bucket (null = raw confidence kept)
+                calibratedConfidence: config.enabled && bucket.votes >= config.minCalibrationVotes
+                    ? Math.round(100 * (bucket.correct + 1) / (bucket.votes + 2))
+                    : null
+            }]))
+    };
+}
+
+/**
+ * Track records for every scored agent: { [agent]: summarizeTrackRecord(...) }.
+ * Returns {} on failure so resolution falls back to registry weights.
+ */
+export async function getAgentTrackRecords(db, APP_ID) {
+    try {
+        const snapshot = await statsCollection(db, APP_ID).get();
+        return Object.fromEntries(snapshot.docs.map(doc => [doc.id, summarizeTrackRecord(doc.data())]));
+    } catch (error) {
+        console.error('⚠️ Failed to load agent track records:', error.message);
+        return {};
+    }
+}
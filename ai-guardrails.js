@@ -2,6 +2,8 @@
 // AI GUARDRAILS - Content Moderation & Safety System
 // =============================================================================
 
+import { createLiveModelClient, isModelClient } from './model-client.js';
+
 export const SAFETY_CONFIG = {
     autoApproveThreshold: 0.95,
     manualReviewThreshold: 0.70,
@@ -123,7 +125,8 @@ export async function moderateContentWithGemini(content, geminiClient) {
     try {
         if (!geminiClient) throw new Error('Gemini client not available');
         
-        const model = geminiClient.getGenerativeModel({ model: 'gemini-2.5-pro' });
+        // Accepts a model client (model-client.js) or a GoogleGenerativeAI instance
+        const modelClient = isModelClient(geminiClient) ? geminiClient : createLiveModelClient({ geminiClient });
         
         const systemPrompt = `You are a content moderation system. Analyze the given content and determine if it violates policies.
 
@@ -139,17 +142,16 @@ If flagged is true, include the violation categories. Keep confidence between 0
 
         const userPrompt = `Content to moderate:\n"${content}"`;
         
-        const result = await model.generateContent({
-            contents: [{ role: 'user', parts: [{ text: userPrompt }] }],
-            systemInstruction: systemPrompt,
+        const responseText = await modelClient.generateText({
+            purpose: 'moderation',
+            prompt: userPrompt,
+            systemPrompt,
             generationConfig: {
                 maxOutputTokens: 256,
                 temperature: 0.2,
             }
         });
         
-        const responseText = result.response.text();
-        
         const jsonMatch = responseText.match(/\{[\s\S]*\}/);
         if (!jsonMatch) {
             return { flagged: false, categories: [], confidence: 0.3 };
@@ -259,6 +261,7 @@ export function checkRateLimit(userId, ipAddress, action = 'default') {
         'comment': 2,
         'vote': 1,
         'share': 1,
+        'jury_code': 20,
         'default': 5
     };
     
@@ -293,7 +296,9 @@ export function checkMinuteLimit(userId, action) {
     const limits = {
         'market_create': 5,
         'comment': 30,
-        'vote': 60
+        'vote': 60,
+        'jury_code': 5,
+        'jury_code_ip': 20
     };
     
     const limit = limits[action] || 10;
@@ -313,6 +318,28 @@ export function checkMinuteLimit(userId, action) {
     return { allowed: true, count: recentRequests.length, limit };
 }
 
+// Jury codes can only be guessed by brute force, so code checks and vote submissions
+// are capped per IP (20/min, however many accounts it uses), per user (5/min) and
+// per user + IP (token bucket, ~1 per 20s sustained)
+export function checkJuryCodeAttempt(userId, ipAddress) {
+    const ipCheck = checkMinuteLimit(`ip:${ipAddress}`, 'jury_code_ip');
+    if (!ipCheck.allowed) {
+        return { allowed: false, reason: 'Too many jury code attempts from this network - try again in a minute', retryAfter: 60 };
+    }
+
+    const minuteCheck = checkMinuteLimit(userId, 'jury_code');
+    if (!minuteCheck.allowed) {
+        return { allowed: false, reason: 'Too many jury code attempts - try again in a minute', retryAfter: 60 };
+    }
+
+    const bucketCheck = checkRateLimit(userId, ipAddress, 'jury_code');
+    if (!bucketCheck.allowed) {
+        return { allowed: false, reason: 'Too many jury code attempts - try again shortly', retryAfter: bucketCheck.retryAfter };
+    }
+
+    return { allowed: true };
+}
+
 export async function logSafetyEvent(db, APP_ID, event) {
     try {
         await db.collection(`artifacts/${APP_ID}/public/data/safety_logs`).add({
@@ -3,10 +3,13 @@
  * Predora Oracle Cron Job
  * Runs automatically via Replit Scheduled Deployment
  * Calls the /api/run-jobs endpoint to trigger market resolution, poll auto-resolution, etc.
+ * With no arguments the server runs whichever jobs are due; pass job names
+ * (e.g. `node cron-job.js resolve-markets resolve-polls`) to run just those.
  */
 
 const CRON_SECRET = process.env.CRON_SECRET || 'predora-oracle-secret-2025';
 const APP_URL = process.env.REPLIT_DEVSERVER_URL || 'http://localhost:5000';
+const JOB_NAMES = process.argv.slice(2);
 
 async function runOracleSweep() {
     try {
@@ -19,7 +22,8 @@ async function runOracleSweep() {
                 'Content-Type': 'application/json',
             },
             body: JSON.stringify({
-                key: CRON_SECRET
+                key: CRON_SECRET,
+                ...(JOB_NAMES.length > 0 && { jobs: JOB_NAMES })
             })
         });
 
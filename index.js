@@ -18,9 +18,29 @@ import {
     moderateContent,
     checkRateLimit,
     checkMinuteLimit,
+    checkJuryCodeAttempt,
     logSafetyEvent
 } from './ai-guardrails.js';
-import { swarmVerifyResolution, secondPassReview } from './swarm-verify-oracle.js';
+import { swarmVerifyResolution, secondPassReview, getMarketOutcomes, normalizeOutcome, getRegisteredAgents, CONFIG as SWARM_CONFIG } from './swarm-verify-oracle.js';
+import { recordAgentOutcomes, getAgentTrackRecords, summarizeTrackRecord, AGENT_TRACK_RECORD_CONFIG } from './agent-track-record.js';
+import { settleMarket, proposeSettlement, finalizeSettlement, isReadyToFinalize, voidMarket, isValidOutcome, getBalanceField, VOID_OUTCOME } from './settlement-engine.js';
+import { isLmsrMarket, lmsrQuote, lmsrPrices, lmsrSharesForCost, lmsrSeedShares, LMSR_CONFIG, LMSR_PRICING_MODE } from './lmsr.js';
+import { toDateValue, parseDurationMs, getResolvesAt, getStakingClosesAt, isStakingExpired, needsPoolRepair } from './market-state.js';
+import { resolvePriceFeedMarket, normalizeResolutionSpec, PRICE_THRESHOLD_SPEC, PRICE_FEED_CONFIG } from './price-feed-resolver.js';
+import { runJob, getJobsStatus, createJobContext, getJobSchedules, updateJobSchedules, getDueJobs } from './job-runner.js';
+import { createLiveModelClient, createRecordingModelClient } from './model-client.js';
+import { openJury, castJuryVote, closeExpiredJuries, getDispute, getJuryEvidencePack, revealJuryCode } from './jury.js';
+import { computeMarketOdds, recordPriceSnapshot, getPriceHistory, parseInterval, PRICE_HISTORY_CONFIG } from './price-history.js';
+import {
+    recordTransfer,
+    getUserLedger,
+    reconcileBalances,
+    LEDGER_REASONS,
+    SYSTEM_ACCOUNTS,
+    userAccount,
+    marketAccount,
+    pollAccount
+} from './ledger.js';
 
 // --- Constants ---
 const __filename = fileURLToPath(import.meta.url);
@@ -34,6 +54,14 @@ const GEMINI_URL = GEMINI_BASE_URL
     ? `${GEMINI_BASE_URL}/models/gemini-2.5-pro:generateContent`
     : "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-pro:generateContent";
 const APP_ID = 'predora-hackathon';
+// Markets the oracle still can't call this many days after resolutionDate are voided and refunded
+const AMBIGUOUS_VOID_AFTER_DAYS = 7;
+// Quick plays the oracle keeps failing to resolve this many hours after resolvesAt are voided and refunded
+const QUICK_PLAY_VOID_AFTER_HOURS = 24;
+// Markets left in pending-review this many days (from pendingReviewSince, else resolvesAt) are voided and refunded
+const PENDING_REVIEW_VOID_AFTER_DAYS = parseFloat(process.env.PENDING_REVIEW_VOID_AFTER_DAYS) || 14;
+// Fee (percent of the cash-out value) kept by the house when a position is closed early
+const CASH_OUT_FEE_PERCENT = parseFloat(process.env.CASH_OUT_FEE_PERCENT) || 2;
 
 // In-memory OTP backup store (fallback when Firestore quota exceeded)
 const otpMemoryStore = new Map();
@@ -61,6 +89,20 @@ if (GEMINI_BASE_URL && process.env.AI_INTEGRATIONS_GEMINI_API_KEY) {
     console.warn("⚠️ Gemini API key not set. AI Assistant will be disabled.");
 }
 
+// Model client for the oracle (swarm agents, callGoogleApi) and moderation.
+// Set ORACLE_RECORD_PATH to append every call to a fixture file for replay tests.
+let oracleModelClient = createLiveModelClient({
+    geminiClient,
+    geminiApiKey: GEMINI_API_KEY,
+    geminiUrl: GEMINI_URL,
+    useBearerAuth: !!GEMINI_BASE_URL,
+    fetchImpl: fetchWithRetry
+});
+if (process.env.ORACLE_RECORD_PATH) {
+    oracleModelClient = createRecordingModelClient(oracleModelClient, process.env.ORACLE_RECORD_PATH);
+    console.log(`📼 Recording oracle model calls to ${process.env.ORACLE_RECORD_PATH}`);
+}
+
 // SendGrid connector function - gets fresh credentials each time (don't cache)
 async function getUncachableSendGridClient() {
   try {
@@ -196,6 +238,26 @@ async function requireAuth(req, res, next) {
     return res.status(401).json({ error: 'Authentication required' });
 }
 
+// For routes that hand out or accept secrets tied to one account (jury codes), the
+// demo-prefix and userId fallbacks above would let anyone act as any user
+async function requireVerifiedAuth(req, res, next) {
+    const authToken = req.headers['authorization']?.replace('Bearer ', '');
+    if (!authToken) {
+        return res.status(401).json({ error: 'Sign in required' });
+    }
+
+    try {
+        const decodedToken = await admin.auth().verifyIdToken(authToken);
+        req.user = {
+            uid: decodedToken.uid,
+            email: decodedToken.email
+        };
+        return next();
+    } catch (error) {
+        return res.status(401).json({ error: 'Invalid or expired sign-in token' });
+    }
+}
+
 function requireFirebase(req, res, next) {
     if (!db) {
         return res.status(503).json({ 
@@ -315,6 +377,120 @@ app.post('/api/gemini', async (req, res) => {
 // SWARM AGENTS - MARKET RESOLUTION ENDPOINTS
 // =============================================================================
 
+// Resolve a market with a resolutionSpec from its price source - no AI involved.
+// Before the observation time nothing happens (path 'price-feed-pending').
+// Standard markets wait out the dispute window before payouts; quick plays can't be
+// disputed, so they pass holdForDisputes: false and settle at once.
+async function resolveWithPriceFeed(marketRef, market, { holdForDisputes = true } = {}) {
+    const resolution = await resolvePriceFeedMarket(market);
+    if (resolution.pending) {
+        return { path: 'price-feed-pending', resolution };
+    }
+
+    await marketRef.collection('resolutionEvidence').doc('price-feed').set({
+        resolution,
+        timestamp: new Date(),
+        version: 1
+    });
+
+    console.log(`📉 PRICE-FEED: ${resolution.rationale} -> ${resolution.outcome}`);
+    const settle = holdForDisputes ? proposeSettlement : settleMarket;
+    const settlement = await settle(db, APP_ID, marketRef, resolution.outcome, {
+        resolutionMethod: 'price-feed',
+        priceObservation: resolution.observation
+    });
+    if (!settlement.alreadySettled) {
+        await notifyMarketStakers(marketRef.id, market.title, resolution.outcome);
+    }
+    return { path: 'price-feed', resolution, settlement };
+}
+
+// Swarm-Verify a market, store the evidence and route on confidence:
+// >= 90% resolves (payouts after the dispute window), 85-90% gets a second pass and
+// waits for review, lower waits for review.
+// An AMBIGUOUS consensus changes nothing so the caller can retry or void later.
+async function resolveWithSwarm(marketRef, market) {
+    const marketId = marketRef.id;
+    const resolution = await swarmVerifyResolution(market, {
+        trackRecords: await getAgentTrackRecords(db, APP_ID)
+    }, oracleModelClient);
+
+    // Store resolution evidence
+    const evidenceRef = marketRef.collection('resolutionEvidence').doc('swarm-verify-primary');
+    await evidenceRef.set({
+        resolution,
+        timestamp: new Date(),
+        version: 1
+    });
+
+    if (resolution.outcome === 'AMBIGUOUS') {
+        console.log(`❔ SWARM AMBIGUOUS (${resolution.confidence}% confidence)`);
+        return { path: 'ambiguous', resolution };
+    }
+
+    // Route based on confidence
+    if (resolution.confidence >= SWARM_CONFIG.HIGH_CONFIDENCE_THRESHOLD) {
+        // Path A: Auto-resolve
+        console.log(`✅ AUTO-RESOLVE (${resolution.confidence}% confidence)`);
+        const settlement = await proposeSettlement(db, APP_ID, marketRef, resolution.outcome, {
+            resolutionMethod: 'swarm-verify-auto',
+            swarmConfidence: resolution.confidence
+        });
+        if (!settlement.alreadySettled) {
+            await notifyMarketStakers(marketId, market.title, resolution.outcome);
+        }
+        return { path: 'auto-resolve', resolution, settlement };
+    }
+
+    if (resolution.confidence >= SWARM_CONFIG.MID_CONFIDENCE_THRESHOLD) {
+        // Path A2: Second-pass + manual review
+        console.log(`🔄 SECOND-PASS (${resolution.confidence}% confidence)`);
+        const secondPass = await secondPassReview(market, resolution, oracleModelClient);
+
+        const secondPassRef = marketRef.collection('resolutionEvidence').doc('swarm-verify-second-pass');
+        await secondPassRef.set({
+            resolution: secondPass,
+            timestamp: new Date()
+        });
+
+        await markPendingReview(marketRef, {
+            swarmVerifyPassed: true,
+            swarmConfidence: resolution.confidence,
+            swarmOutcome: resolution.outcome
+        });
+        return { path: 'second-pass', resolution, secondPass };
+    }
+
+    // Path B: Full manual review
+    console.log(`👥 MANUAL REVIEW (${resolution.confidence}% confidence - too low)`);
+    await markPendingReview(marketRef, {
+        swarmVerifyPassed: false,
+        swarmConfidence: resolution.confidence,
+        swarmOutcome: resolution.outcome
+    });
+    return { path: 'manual-review', resolution };
+}
+
+// Why the indexer should leave a market alone, or null when it may be resolved.
+// Resolved markets (including those pending their dispute window) and disputed ones
+// are out of the oracle's hands.
+function getIndexerSkipReason(market) {
+    if (market.status === 'disputed' || ['open', 'tallying'].includes(market.jury?.status)) return 'Market is under dispute';
+    if (market.isResolved || market.isSettled) return 'Market is already resolved';
+    if (market.settlementStatus === 'pending') return 'Market outcome is pending its dispute window';
+    return null;
+}
+
+// Flag a market for manual review, unless it was resolved or disputed while the swarm ran
+async function markPendingReview(marketRef, fields) {
+    return db.runTransaction(async (transaction) => {
+        const snap = await transaction.get(marketRef);
+        if (!snap.exists || getIndexerSkipReason(snap.data())) return false;
+        transaction.update(marketRef, { ...fields, status: 'pending-review', pendingReviewSince: new Date() });
+        return true;
+    });
+}
+
 // Main Resolution Endpoint - Resolve single market using Swarm-Verify
 app.get('/api/indexer/resolve-market/:marketId', requireFirebase, async (req, res) => {
     try {
@@ -326,98 +502,37 @@ app.get('/api/indexer/resolve-market/:marketId', requireFirebase, async (req, re
             return res.status(404).json({ error: 'Market not found' });
         }
 
-        if (!geminiClient) {
+        const market = marketSnap.data();
+        const skipReason = getIndexerSkipReason(market);
+        if (skipReason) {
+            return res.status(409).json({ error: skipReason });
+        }
+        if (!market.resolutionSpec && !geminiClient) {
             return res.status(503).json({ error: 'Gemini API not configured. Swarm resolution unavailable.' });
         }
 
-        const market = marketSnap.data();
-        console.log(`🐝 Swarm-Verify resolving market: ${marketId}`);
-
-        // Run Swarm-Verify
-        const resolution = await swarmVerifyResolution(market, {
-            geminiApiKey: GEMINI_API_KEY,
-            geminiUrl: GEMINI_URL
-        }, geminiClient);
-
-        // Store resolution evidence
-        const evidenceRef = db.collection(`artifacts/${APP_ID}/public/data/standard_markets`).doc(marketId).collection('resolutionEvidence').doc('swarm-verify-primary');
-        await evidenceRef.set({
-            resolution,
-            timestamp: new Date(),
-            version: 1
+        console.log(`🐝 ${market.resolutionSpec ? 'Price-feed' : 'Swarm-Verify'} resolving market: ${marketId}`);
+        const { path: resolutionPath, resolution, secondPass } = market.resolutionSpec
+            ? await resolveWithPriceFeed(marketRef, market)
+            : await resolveWithSwarm(marketRef, market);
+
+        const statusByPath = {
+            'price-feed': 'resolved',
+            'price-feed-pending': 'unresolved',
+            'auto-resolve': 'resolved',
+            'second-pass': 'pending-manual',
+            'manual-review': 'pending-manual',
+            'ambiguous': 'unresolved'
+        };
+        res.json({
+            status: statusByPath[resolutionPath],
+            outcome: secondPass ? secondPass.outcome : resolution.outcome,
+            confidence: secondPass ? secondPass.confidence : resolution.confidence,
+            path: resolutionPath,
+            agentVotes: resolution.agentVotes,
+            timestamp: new Date().toISOString()
         });
 
-        // Route based on confidence
-        if (resolution.confidence >= 90) {
-            // Path A: Auto-resolve
-            console.log(`✅ AUTO-RESOLVE (${resolution.confidence}% confidence)`);
-            await marketRef.update({
-                isResolved: true,
-                winningOutcome: resolution.outcome,
-                resolutionMethod: 'swarm-verify-auto',
-                resolvedAt: new Date(),
-                status: 'resolved',
-                swarmConfidence: resolution.confidence
-            });
-
-            res.json({
-                status: 'resolved',
-                outcome: resolution.outcome,
-                confidence: resolution.confidence,
-                path: 'auto-resolve',
-                agentVotes: resolution.agentVotes,
-                timestamp: new Date().toISOString()
-            });
-
-        } else if (resolution.confidence >= 85) {
-            // Path A2: Second-pass + manual review
-            console.log(`🔄 SECOND-PASS (${resolution.confidence}% confidence)`);
-            const secondPass = await secondPassReview(market, resolution, geminiClient);
-            
-            const secondPassRef = db.collection(`artifacts/${APP_ID}/public/data/standard_markets`).doc(marketId).collection('resolutionEvidence').doc('swarm-verify-second-pass');
-            await secondPassRef.set({
-                resolution: secondPass,
-                timestamp: new Date()
-            });
-
-            await marketRef.update({
-                status: 'pending-review',
-                swarmVerifyPassed: true,
-                swarmConfidence: resolution.confidence,
-                swarmOutcome: resolution.outcome,
-                pendingReviewSince: new Date()
-            });
-
-            res.json({
-                status: 'pending-manual',
-                outcome: secondPass.outcome,
-                confidence: secondPass.confidence,
-                path: 'second-pass',
-                agentVotes: resolution.agentVotes,
-                timestamp: new Date().toISOString()
-            });
-
-        } else {
-            // Path B: Full manual review
-            console.log(`👥 MANUAL REVIEW (${resolution.confidence}% confidence - too low)`);
-            await marketRef.update({
-                status: 'pending-review',
-                swarmVerifyPassed: false,
-                swarmConfidence: resolution.confidence,
-                swarmOutcome: resolution.outcome,
-                pendingReviewSince: new Date()
-            });
-
-            res.json({
-                status: 'pending-manual',
-                outcome: resolution.outcome,
-                confidence: resolution.confidence,
-                path: 'manual-review',
-                agentVotes: resolution.agentVotes,
-                timestamp: new Date().toISOString()
-            });
-        }
-
     } catch (error) {
         console.error('❌ Swarm resolution failed:', error);
         res.status(500).json({ error: error.message });
@@ -453,10 +568,19 @@ app.post('/api/indexer/resolve-batch', requireFirebase, async (req, res) => {
                     continue;
                 }
 
+                const skipReason = getIndexerSkipReason(market.data());
+                if (skipReason) {
+                    results.push({
+                        marketId,
+                        error: skipReason,
+                        status: 'skipped'
+                    });
+                    continue;
+                }
+
                 const resolution = await swarmVerifyResolution(market.data(), {
-                    geminiApiKey: GEMINI_API_KEY,
-                    geminiUrl: GEMINI_URL
-                }, geminiClient);
+                    trackRecords: await getAgentTrackRecords(db, APP_ID)
+                }, oracleModelClient);
 
                 results.push({
                     marketId,
@@ -511,9 +635,8 @@ app.post('/api/admin/request-second-swarm', requireAdmin, requireFirebase, async
         console.log(`🔄 Admin requesting second swarm pass for: ${marketId}`);
 
         const secondResolution = await swarmVerifyResolution(market, {
-            geminiApiKey: GEMINI_API_KEY,
-            geminiUrl: GEMINI_URL
-        }, geminiClient);
+            trackRecords: await getAgentTrackRecords(db, APP_ID)
+        }, oracleModelClient);
 
         const evidenceRef = db.collection(`artifacts/${APP_ID}/public/data/standard_markets`).doc(marketId).collection('resolutionEvidence').doc(`swarm-verify-admin-${Date.now()}`);
         await evidenceRef.set({
@@ -541,236 +664,213 @@ app.post('/api/admin/request-second-swarm', requireAdmin, requireFirebase, async
 });
 
 // --- Internal Helper (Updated with Retry) ---
-async function callGoogleApi(payload) {
+// Goes through oracleModelClient (bearer auth for Replit AI Integrations, ?key= for
+// the direct Google API, retries via fetchWithRetry). `purpose` labels the call in recordings.
+async function callGoogleApi(payload, purpose = 'oracle') {
     if (!GEMINI_API_KEY) throw new Error("GEMINI_API_KEY is not set.");
 
-    // Build URL and headers based on whether using Replit AI Integrations or direct API
-    let apiUrl, headers;
-    if (GEMINI_BASE_URL) {
-        // Replit AI Integrations - use bearer token auth
-        apiUrl = `${GEMINI_BASE_URL}/models/gemini-2.5-pro:generateContent`;
-        headers = { 
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${GEMINI_API_KEY}`
-        };
-    } else {
-        // Direct Google API - use API key in URL
-        apiUrl = `${GEMINI_URL}?key=${GEMINI_API_KEY}`;
-        headers = { 'Content-Type': 'application/json' };
-    }
-
-    // USE THE RETRY FUNCTION HERE TOO
-    const googleResponse = await fetchWithRetry(apiUrl, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify(payload)
-    });
-
-    const data = await googleResponse.json();
-
-    if (!googleResponse.ok) {
-        console.error("Oracle Google API Error:", data);
-        throw new Error(`Google API Error: ${data.error?.message || 'Unknown error'}`);
+    try {
+        return await oracleModelClient.generateContent({ purpose, payload });
+    } catch (error) {
+        console.error("Oracle Google API Error:", error.message);
+        throw error;
     }
-
-    return data;
 }
 
 // --- ORACLE JOBS (Same logic as before, but using the robust callGoogleApi) ---
 
-async function autoResolveMarkets() {
+async function autoResolveMarkets(job = createJobContext()) {
     console.log("ORACLE: Running autoResolveMarkets...");
-    const today = new Date().toISOString().split('T')[0];
+
     const collectionPath = `artifacts/${APP_ID}/public/data/standard_markets`;
     const snapshot = await db.collection(collectionPath).where('isResolved', '==', false).get();
 
     if (snapshot.empty) return console.log("ORACLE: No unresolved markets.");
 
-    const marketsToResolve = snapshot.docs.filter(doc => doc.data().resolutionDate <= today);
+    const now = new Date();
+    // Markets parked for review wait for an admin instead of being re-verified every run
+    const marketsToResolve = snapshot.docs.filter(doc => {
+        const market = doc.data();
+        const resolvesAt = getResolvesAt(market);
+        return market.status !== 'pending-review' && resolvesAt && resolvesAt <= now;
+    });
     console.log(`ORACLE: Resolving ${marketsToResolve.length} markets...`);
 
+    // Reviews no admin picked up in time are voided and refunded rather than left open forever
+    const staleReviews = snapshot.docs.filter(doc => {
+        const market = doc.data();
+        const since = toDateValue(market.pendingReviewSince) || getResolvesAt(market);
+        return market.status === 'pending-review' && since
+            && now - since >= PENDING_REVIEW_VOID_AFTER_DAYS * 24 * 60 * 60 * 1000;
+    });
+
+    for (const doc of staleReviews) {
+        const market = doc.data();
+        try {
+            const settlement = await voidMarket(db, APP_ID, doc.ref, 'review-expired', { resolutionMethod: 'oracle-auto' });
+            if (!settlement.alreadySettled) {
+                job.touch(doc.id);
+                console.log(`↩️ ORACLE: Voided ${market.title} after ${PENDING_REVIEW_VOID_AFTER_DAYS} days in review, refunded ${settlement.refundedPledges} pledges`);
+                await notifyMarketStakers(doc.id, market.title, VOID_OUTCOME);
+            }
+        } catch (e) {
+            console.error(`ORACLE: Failed to void stale review ${doc.id}:`, e.message);
+            job.recordError(doc.id, e);
+        }
+    }
+
     for (const doc of marketsToResolve) {
         const market = doc.data();
         const marketId = doc.id;
 
         try {
-            // Logic condensed for brevity - exact same as previous version
-            const systemPrompt = `As of ${today}, verify the outcome of: "${market.title}". Respond ONLY 'YES', 'NO', 'AMBIGUOUS'.`;
-            const payload = {
-                systemInstruction: { parts: [{ text: systemPrompt }] },
-                contents: [{ role: "user", parts: [{ text: `Market: "${market.title}"` }] }],
-                tools: [{ "google_search": {} }]
-            };
+            // Crypto threshold markets settle from the price feed, never the swarm
+            if (market.resolutionSpec) {
+                const priceFeed = await resolveWithPriceFeed(doc.ref, market);
+                if (priceFeed.path === 'price-feed' && !priceFeed.settlement.alreadySettled) {
+                    job.touch(marketId);
+                    console.log(`✅ ORACLE: Resolved ${market.title} as ${priceFeed.resolution.outcome} from the ${priceFeed.resolution.observation.source} price feed`);
+                }
+                continue;
+            }
 
-            const response = await callGoogleApi(payload);
-            const outcome = response.candidates[0].content.parts[0].text.trim().toUpperCase();
+            if (!geminiClient) {
+                console.warn(`⚠️ Gemini API not configured, skipping Swarm-Verify for ${marketId}`);
+                continue;
+            }
 
-            if (outcome === 'YES' || outcome === 'NO') {
-                // Payout logic: distribute winnings proportionally to stake size
-                try {
-                    const pledgesRef = db.collection(`artifacts/${APP_ID}/public/data/pledges`);
-                    const pledgeSnaps = await pledgesRef.where('marketId', '==', marketId).get();
-                    
-                    // Process each pledge and calculate totals
-                    const allPledges = pledgeSnaps.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-                    
-                    // Calculate total stakes for winners and losers
-                    let totalWinningStakeUsd = 0;
-                    let totalLosingStakeUsd = 0;
-                    const winners = [];
-                    
-                    for (const pledge of allPledges) {
-                        const stakeUsd = pledge.amountUsd || pledge.amount || 0;
-                        if (pledge.pick === outcome) {
-                            winners.push(pledge);
-                            totalWinningStakeUsd += stakeUsd;
-                        } else {
-                            totalLosingStakeUsd += stakeUsd;
-                        }
-                    }
-                    
-                    const totalPoolUsd = totalWinningStakeUsd + totalLosingStakeUsd;
-                    
-                    // Use batch writes for atomicity
-                    const batch = db.batch();
-                    const userStatsMap = new Map(); // Track cumulative stats per user for final update
-                    
-                    // First pass: Calculate proportional payouts per user across all their pledges
-                    for (const pledge of allPledges) {
-                        const userId = pledge.userId;
-                        const isWinner = pledge.pick === outcome;
-                        const stakeUsd = pledge.amountUsd || pledge.amount || 0;
-                        
-                        if (!userStatsMap.has(userId)) {
-                            userStatsMap.set(userId, { wins: 0, losses: 0, profit: 0 });
-                        }
-                        
-                        const userStats = userStatsMap.get(userId);
-                        if (isWinner) {
-                            userStats.wins++;
-                            // Proportional payout: stake + (stake / totalWinningStake) * losingPool
-                            // This gives winners their stake back plus a proportional share of losing pool
-                            const stakeShare = totalWinningStakeUsd > 0 ? stakeUsd / totalWinningStakeUsd : 0;
-                            const winnings = stakeShare * totalLosingStakeUsd;
-                            userStats.profit += stakeUsd + winnings; // Return stake + winnings
-                        } else {
-                            userStats.losses++;
-                            // Losers get nothing (their stake went to winners)
-                        }
-                    }
-                    
-                    // Second pass: Apply batch updates for each user
-                    for (const [userId, stats] of userStatsMap) {
-                        const userRef = db.collection(`artifacts/${APP_ID}/public/data/user_profile`).doc(userId);
-                        const publicUserRef = db.collection(`artifacts/${APP_ID}/public/data/leaderboard`).doc(userId);
-                        const userSnap = await userRef.get();
-                        
-                        if (userSnap.exists) {
-                            const userData = userSnap.data();
-                            const currentStreak = userData.streak || 0;
-                            const hasMoreWins = stats.wins > stats.losses;
-                            
-                            // Build incremental updates
-                            const updates = {
-                                xp: admin.firestore.FieldValue.increment(hasMoreWins ? 50 : 10),
-                                totalWins: admin.firestore.FieldValue.increment(stats.wins),
-                                totalLosses: admin.firestore.FieldValue.increment(stats.losses),
-                                totalProfit: admin.firestore.FieldValue.increment(stats.profit)
-                            };
-                            
-                            // Update balance and streak
-                            if (stats.profit > 0) {
-                                updates.balance = admin.firestore.FieldValue.increment(stats.profit);
-                            }
-                            updates.streak = hasMoreWins ? currentStreak + 1 : 0;
-                            
-                            // Batch update
-                            batch.update(userRef, updates);
-                            
-                            // Public leaderboard (exclude balance)
-                            const publicUpdates = { ...updates };
-                            delete publicUpdates.balance;
-                            batch.set(publicUserRef, publicUpdates, { merge: true });
-                        }
-                    }
-                    
-                    // IMPORTANT: Include market resolution in same batch for atomicity
-                    // This ensures payout and resolution happen together (both succeed or both fail)
-                    batch.update(doc.ref, { 
-                        isResolved: true, 
-                        winningOutcome: outcome, 
-                        resolvedAt: new Date(),
-                        status: 'resolved'
-                    });
-                    
-                    // Commit atomically - payouts AND resolution together
-                    await batch.commit();
-                    console.log(`✅ ORACLE: Resolved ${market.title} as ${outcome} and updated stats for ${userStatsMap.size} users`);
-                } catch (payoutError) {
-                    console.error(`ORACLE: Payout/resolution failed for ${marketId}:`, payoutError.message);
-                    // Market stays unresolved, will retry on next cron run
-                    continue;
+            console.log(`🐝 ORACLE: Swarm-Verify resolving ${marketId}`);
+            // Errors (agents, settlement) leave the market unresolved for the next run
+            const swarm = await resolveWithSwarm(doc.ref, market);
+
+            if (swarm.path === 'auto-resolve') {
+                if (!swarm.settlement.alreadySettled) {
+                    job.touch(marketId);
+                    console.log(`✅ ORACLE: Resolved ${market.title} as ${swarm.resolution.outcome}${swarm.settlement.pending ? ', payouts pending the dispute window' : ''}`);
                 }
-                
-                // 📢 SEND NOTIFICATIONS to all users who staked on this market (separate batch, non-critical)
-                try {
-                    const allPledgesRef = db.collection(`artifacts/${APP_ID}/public/data/pledges`);
-                    const allPledges = await allPledgesRef.where('marketId', '==', marketId).get();
-                    
-                    const notifiedUsers = new Set();
-                    const notifBatch = db.batch();
-                    
-                    for (const pledgeSnap of allPledges.docs) {
-                        const pledge = pledgeSnap.data();
-                        const userIdToNotify = pledge.userId;
-                        
-                        // Validate userId exists and is a string
-                        if (!userIdToNotify || typeof userIdToNotify !== 'string') {
-                            console.warn(`⚠️ Invalid userId in pledge:`, userIdToNotify);
-                            continue;
-                        }
-                        
-                        // Only send one notification per user even if they staked multiple times
-                        if (!notifiedUsers.has(userIdToNotify)) {
-                            notifiedUsers.add(userIdToNotify);
-                            
-                            // Create notification for user using batch write
-                            const notificationsRef = db.collection(`artifacts/${APP_ID}/public/data/user_profile/${userIdToNotify}/notifications`).doc();
-                            notifBatch.set(notificationsRef, {
-                                type: 'market_resolved',
-                                marketId: marketId,
-                                marketTitle: market.title,
-                                outcome: outcome,
-                                message: `Market resolved: "${market.title}" - Winner: ${outcome}`,
-                                actionUrl: `screen:market-detail:${marketId}`,
-                                timestamp: new Date(),
-                                read: false
-                            });
-                        }
-                    }
-                    
-                    // Commit batch write
-                    if (notifiedUsers.size > 0) {
-                        await notifBatch.commit();
-                        console.log(`📢 Market resolution notifications committed to ${notifiedUsers.size} users for ${market.title}`);
-                        
-                        // Send email notifications asynchronously (don't block)
-                        sendMarketResolutionEmails(notifiedUsers, market.title, outcome).catch(err => {
-                            console.warn(`⚠️ Email notification async error:`, err.message);
-                        });
+            } else if (swarm.path !== 'ambiguous') {
+                job.touch(marketId);
+                console.log(`👥 ORACLE: ${market.title} parked for review (${swarm.path}, ${swarm.resolution.confidence}% confidence)`);
+            } else {
+                // Still AMBIGUOUS - void and refund once the market is long past its resolution date
+                const daysPastResolution = (Date.now() - getResolvesAt(market).getTime()) / (24 * 60 * 60 * 1000);
+                if (daysPastResolution >= AMBIGUOUS_VOID_AFTER_DAYS) {
+                    const settlement = await voidMarket(db, APP_ID, doc.ref, 'oracle-ambiguous', { resolutionMethod: 'oracle-auto' });
+                    if (!settlement.alreadySettled) {
+                        job.touch(marketId);
+                        console.log(`↩️ ORACLE: Voided ${market.title} after ${Math.floor(daysPastResolution)} days AMBIGUOUS, refunded ${settlement.refundedPledges} pledges`);
+                        await notifyMarketStakers(marketId, market.title, VOID_OUTCOME);
                     }
-                } catch (notifError) {
-                    console.error(`⚠️ Failed to send market resolution notifications:`, notifError.message);
+                } else {
+                    console.log(`ORACLE: ${market.title} still AMBIGUOUS, retrying next run`);
                 }
             }
         } catch (e) {
             console.error(`ORACLE: Failed market ${marketId}:`, e.message);
+            job.recordError(marketId, e);
+        }
+    }
+}
+
+// --- ORACLE: Finalize Settlements ---
+// Resolved standard markets hold payouts ('pending settlement') until their dispute
+// window closes; disputed markets wait for the jury and any appeal window.
+async function finalizePendingSettlements(job = createJobContext()) {
+    const snapshot = await db.collection(`artifacts/${APP_ID}/public/data/standard_markets`)
+        .where('settlementStatus', '==', 'pending')
+        .get();
+
+    const now = new Date();
+    const readyMarkets = snapshot.docs.filter(doc => isReadyToFinalize(doc.data(), now));
+    if (readyMarkets.length > 0) {
+        console.log(`ORACLE: Finalizing ${readyMarkets.length} settlements...`);
+    }
+
+    for (const doc of readyMarkets) {
+        const market = doc.data();
+        try {
+            const settlement = await finalizeSettlement(db, APP_ID, doc.ref);
+            if (settlement.alreadySettled || settlement.deferred) continue;
+
+            job.touch(doc.id);
+            // The outcome is final now, so it's what the swarm agents are scored against
+            await recordAgentOutcomes(db, APP_ID, doc.ref, settlement.outcome, market.resolutionMethod || 'oracle-auto');
+            console.log(`💸 ORACLE: Settled ${market.title} as ${settlement.outcome}, paid $${settlement.totalPaidUsd.toFixed(2)} to ${settlement.winners} winning pledges`);
+        } catch (e) {
+            console.error(`ORACLE: Failed to finalize settlement for ${doc.id}:`, e.message);
+            job.recordError(doc.id, e);
+        }
+    }
+}
+
+// 📢 Notify every user who staked on a market that it resolved (non-critical, separate batch)
+async function notifyMarketStakers(marketId, marketTitle, outcome) {
+    try {
+        const allPledgesRef = db.collection(`artifacts/${APP_ID}/public/data/pledges`);
+        const allPledges = await allPledgesRef.where('marketId', '==', marketId).get();
+        
+        const notifiedUsers = new Set();
+        const notifBatch = db.batch();
+        
+        for (const pledgeSnap of allPledges.docs) {
+            const pledge = pledgeSnap.data();
+            const userIdToNotify = pledge.userId;
+            
+            // Validate userId exists and is a string
+            if (!userIdToNotify || typeof userIdToNotify !== 'string') {
+                console.warn(`⚠️ Invalid userId in pledge:`, userIdToNotify);
+                continue;
+            }
+            
+            // Only send one notification per user even if they staked multiple times
+            if (!notifiedUsers.has(userIdToNotify)) {
+                notifiedUsers.add(userIdToNotify);
+                
+                const notificationsRef = db.collection(`artifacts/${APP_ID}/public/data/user_profile/${userIdToNotify}/notifications`).doc();
+                notifBatch.set(notificationsRef, {
+                    type: 'market_resolved',
+                    marketId: marketId,
+                    marketTitle: marketTitle,
+                    outcome: outcome,
+                    message: outcome === VOID_OUTCOME
+                        ? `Market voided: "${marketTitle}" - your stake has been refunded`
+                        : `Market resolved: "${marketTitle}" - Winner: ${outcome}`,
+                    actionUrl: `screen:market-detail:${marketId}`,
+                    timestamp: new Date(),
+                    read: false
+                });
+            }
         }
+        
+        if (notifiedUsers.size > 0) {
+            await notifBatch.commit();
+            console.log(`📢 Market resolution notifications committed to ${notifiedUsers.size} users for ${marketTitle}`);
+            
+            // Send email notifications asynchronously (don't block)
+            sendMarketResolutionEmails(notifiedUsers, marketTitle, outcome).catch(err => {
+                console.warn(`⚠️ Email notification async error:`, err.message);
+            });
+        }
+    } catch (notifError) {
+        console.error(`⚠️ Failed to send market resolution notifications:`, notifError.message);
+    }
+}
+
+// Write a single notification to a user's notifications subcollection
+async function notifyUser(userId, notification) {
+    try {
+        await db.collection(`artifacts/${APP_ID}/public/data/user_profile/${userId}/notifications`).add({
+            ...notification,
+            timestamp: new Date(),
+            read: false
+        });
+    } catch (notifError) {
+        console.error(`⚠️ Failed to notify ${userId}:`, notifError.message);
     }
 }
 
 // --- ORACLE: Auto-Resolve Quick Polls ---
-async function autoResolveQuickPolls() {
+async function autoResolveQuickPolls(job = createJobContext()) {
     console.log("🗳️ ORACLE: Running autoResolveQuickPolls...");
     
     if (!db) {
@@ -860,6 +960,15 @@ async function autoResolveQuickPolls() {
                                 const leaderboardRef = db.collection(`artifacts/${APP_ID}/public/data/leaderboard`).doc(userId);
                                 batch.set(leaderboardRef, { xp: admin.firestore.FieldValue.increment(totalReward) }, { merge: true });
 
+                                recordTransfer(batch, db, APP_ID, {
+                                    from: pollAccount(poll.id),
+                                    to: userAccount(userId),
+                                    field: 'xp',
+                                    amount: totalReward,
+                                    reason: LEDGER_REASONS.PAYOUT,
+                                    refId: poll.id
+                                });
+
                                 console.log(`💰 ORACLE: User ${userId} won ${Math.round(totalReward)} XP on poll (${voter.xpStaked} stake + ${Math.round(winningsPerWinner)} share)`);
                             }
                         }
@@ -878,6 +987,15 @@ async function autoResolveQuickPolls() {
                             const leaderboardRef = db.collection(`artifacts/${APP_ID}/public/data/leaderboard`).doc(userId);
                             batch.set(leaderboardRef, { xp: admin.firestore.FieldValue.increment(xpStaked) }, { merge: true });
 
+                            recordTransfer(batch, db, APP_ID, {
+                                from: pollAccount(poll.id),
+                                to: userAccount(userId),
+                                field: 'xp',
+                                amount: xpStaked,
+                                reason: LEDGER_REASONS.REFUND,
+                                refId: poll.id
+                            });
+
                             console.log(`🤝 ORACLE: User ${userId} got back ${xpStaked} XP (tie result)`);
                         }
                     }
@@ -926,10 +1044,12 @@ async function autoResolveQuickPolls() {
 
                 // Commit all updates
                 await batch.commit();
+                job.touch(poll.id);
                 console.log(`📢 ORACLE: Sent notifications to ${notifiedUsers.size} voters | Distributed ${Math.round(totalWinningsDistributed)} total XP`);
 
             } catch (pollError) {
                 console.error(`🗳️ ORACLE: Failed to resolve poll ${poll.id}:`, pollError.message);
+                job.recordError(poll.id, pollError);
             }
         }
 
@@ -939,7 +1059,7 @@ async function autoResolveQuickPolls() {
 }
 
 // --- ORACLE: Auto-Resolve Quick Play Markets ---
-async function autoResolveQuickPlays() {
+async function autoResolveQuickPlays(job = createJobContext()) {
     console.log("⚡ ORACLE: Running autoResolveQuickPlays...");
     
     if (!db) {
@@ -956,10 +1076,11 @@ async function autoResolveQuickPlays() {
         return;
     }
 
-    // Filter markets past their resolution date
+    // Filter markets past their resolution time
+    const now = new Date();
     const marketsToResolve = snapshot.docs.filter(doc => {
-        const market = doc.data();
-        return market.resolutionDate && market.resolutionDate <= today;
+        const resolvesAt = getResolvesAt(doc.data());
+        return resolvesAt && resolvesAt <= now;
     });
 
     console.log(`⚡ ORACLE: Resolving ${marketsToResolve.length} quick play markets...`);
@@ -968,135 +1089,128 @@ async function autoResolveQuickPlays() {
         const market = doc.data();
         const marketId = doc.id;
 
+        // Crypto threshold quick plays settle from the price feed; a feed error is
+        // retried next run rather than voiding the market
+        if (market.resolutionSpec) {
+            try {
+                const priceFeed = await resolveWithPriceFeed(doc.ref, market, { holdForDisputes: false });
+                if (priceFeed.path === 'price-feed' && !priceFeed.settlement.alreadySettled) {
+                    job.touch(marketId);
+                    console.log(`⚡ ORACLE: Resolved quick play "${market.title}" as ${priceFeed.resolution.outcome} from the price feed`);
+                }
+            } catch (e) {
+                console.error(`⚡ ORACLE: Price feed failed for quick play ${marketId}:`, e.message);
+                job.recordError(marketId, e);
+            }
+            continue;
+        }
+
         try {
-            // Use AI to determine outcome
+            // Use AI to determine outcome (one of market.options for multi-option quick plays)
+            const outcomes = getMarketOutcomes(market);
+            const rules = normalizeResolutionRules(market);
+            const rulesText = [
+                rules.resolutionCriteria && `Resolution criteria: ${rules.resolutionCriteria}`,
+                rules.resolutionSources.length > 0 && `Authoritative sources: ${rules.resolutionSources.join(', ')}`,
+                rules.edgeCaseRule && `Edge-case rule: ${rules.edgeCaseRule}`
+            ].filter(Boolean).join('\n');
             const systemPrompt = `As of ${today}, verify the outcome of this quick play market: "${market.title}". 
-Research the actual result using web search. Respond ONLY with one word: 'YES', 'NO', or 'AMBIGUOUS' if truly uncertain.`;
+Research the actual result using web search.${rulesText ? `\n${rulesText}\nApply these rules exactly.` : ''} Respond ONLY with one of: ${outcomes.map(o => `'${o}'`).join(', ')}, or 'AMBIGUOUS' if truly uncertain.`;
             
             const payload = {
                 systemInstruction: { parts: [{ text: systemPrompt }] },
-                contents: [{ role: "user", parts: [{ text: `Quick Play Market: "${market.title}"\nCategory: ${market.category || 'General'}\nResolution Date: ${market.resolutionDate}` }] }],
+                contents: [{ role: "user", parts: [{ text: `Quick Play Market: "${market.title}"\nCategory: ${market.category || 'General'}\nResolves At: ${getResolvesAt(market).toISOString()}${market.options ? `\nOptions: ${market.options.join(', ')}` : ''}` }] }],
                 tools: [{ "google_search": {} }]
             };
 
-            const response = await callGoogleApi(payload);
+            const response = await callGoogleApi(payload, 'quick-play-resolution');
             const outcomeText = response.candidates[0].content.parts[0].text.trim().toUpperCase();
             
-            // Determine outcome
-            let outcome;
-            if (outcomeText.includes('YES')) {
-                outcome = 'YES';
-            } else if (outcomeText.includes('NO')) {
-                outcome = 'NO';
-            } else {
+            // Determine outcome - exact option match first, then the old lenient YES/NO check
+            let outcome = normalizeOutcome(outcomeText, market);
+            if (outcome === 'AMBIGUOUS' && outcomes.includes('YES')) {
+                if (outcomeText.includes('YES')) {
+                    outcome = 'YES';
+                } else if (outcomeText.includes('NO')) {
+                    outcome = 'NO';
+                }
+            }
+            if (outcome === 'AMBIGUOUS') {
                 outcome = 'EXPIRED'; // Mark as expired if ambiguous
             }
 
-            // Process payouts for YES/NO outcomes
-            if (outcome === 'YES' || outcome === 'NO') {
-                try {
-                    const pledgesRef = db.collection(`artifacts/${APP_ID}/public/data/pledges`);
-                    const pledgeSnaps = await pledgesRef.where('marketId', '==', marketId).get();
-                    
-                    const allPledges = pledgeSnaps.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-                    
-                    let totalWinningStakeUsd = 0;
-                    let totalLosingStakeUsd = 0;
-                    const winners = [];
-                    const losers = [];
-
-                    for (const pledge of allPledges) {
-                        const stakeUsd = pledge.amountUsd || 0;
-                        if (pledge.pick === outcome) {
-                            totalWinningStakeUsd += stakeUsd;
-                            winners.push(pledge);
-                        } else {
-                            totalLosingStakeUsd += stakeUsd;
-                            losers.push(pledge);
-                        }
-                    }
-
-                    // Distribute winnings proportionally
-                    if (winners.length > 0 && totalWinningStakeUsd > 0) {
-                        const batch = db.batch();
-                        
-                        for (const winner of winners) {
-                            const stakeUsd = winner.amountUsd || 0;
-                            const shareOfPool = stakeUsd / totalWinningStakeUsd;
-                            const winnings = stakeUsd + (shareOfPool * totalLosingStakeUsd);
-                            
-                            // Update user balance
-                            const profileRef = db.collection(`artifacts/${APP_ID}/public/data/user_profile`).doc(winner.userId);
-                            batch.set(profileRef, { 
-                                balance: admin.firestore.FieldValue.increment(winnings),
-                                totalWinnings: admin.firestore.FieldValue.increment(winnings - stakeUsd),
-                                wins: admin.firestore.FieldValue.increment(1)
-                            }, { merge: true });
-                            
-                            // Update leaderboard
-                            const leaderboardRef = db.collection(`artifacts/${APP_ID}/public/data/leaderboard`).doc(winner.userId);
-                            batch.set(leaderboardRef, { 
-                                balance: admin.firestore.FieldValue.increment(winnings),
-                                wins: admin.firestore.FieldValue.increment(1)
-                            }, { merge: true });
-
-                            // Mark pledge as resolved
-                            const pledgeRef = db.collection(`artifacts/${APP_ID}/public/data/pledges`).doc(winner.id);
-                            batch.update(pledgeRef, { 
-                                isResolved: true, 
-                                didWin: true, 
-                                payout: winnings,
-                                resolvedAt: new Date()
-                            });
-
-                            console.log(`⚡ QUICK PLAY: ${winner.userId} won $${winnings.toFixed(2)}`);
-                        }
-
-                        // Mark losing pledges as resolved
-                        for (const loser of losers) {
-                            const pledgeRef = db.collection(`artifacts/${APP_ID}/public/data/pledges`).doc(loser.id);
-                            batch.update(pledgeRef, { 
-                                isResolved: true, 
-                                didWin: false, 
-                                payout: 0,
-                                resolvedAt: new Date()
-                            });
-                            
-                            // Update loser stats
-                            const profileRef = db.collection(`artifacts/${APP_ID}/public/data/user_profile`).doc(loser.userId);
-                            batch.set(profileRef, { 
-                                losses: admin.firestore.FieldValue.increment(1)
-                            }, { merge: true });
-                        }
-
-                        await batch.commit();
-                    }
-                } catch (payoutError) {
-                    console.error(`⚡ ORACLE: Payout failed for quick play ${marketId}:`, payoutError.message);
+            if (outcome !== 'EXPIRED') {
+                // Payouts, pledge updates and resolution happen atomically in the settlement engine
+                const settlement = await settleMarket(db, APP_ID, doc.ref, outcome, { resolutionMethod: 'oracle-auto' });
+                if (!settlement.alreadySettled) {
+                    console.log(`⚡ QUICK PLAY: Paid $${settlement.totalPaidUsd.toFixed(2)} to ${settlement.winners} winning pledges`);
+                }
+            } else {
+                // Ambiguous quick plays are voided so stakers get their money back
+                const settlement = await voidMarket(db, APP_ID, doc.ref, 'oracle-ambiguous', { resolutionMethod: 'oracle-auto' });
+                if (!settlement.alreadySettled) {
+                    await notifyMarketStakers(marketId, market.title, VOID_OUTCOME);
                 }
             }
-
-            // Update market as resolved
-            await doc.ref.update({ 
-                isResolved: true, 
-                winningOutcome: outcome, 
-                resolvedAt: new Date(),
-                status: outcome === 'EXPIRED' ? 'expired' : 'resolved'
-            });
-            console.log(`⚡ ORACLE: Resolved quick play "${market.title}" as ${outcome}`);
+            job.touch(marketId);
+            console.log(`⚡ ORACLE: Resolved quick play "${market.title}" as ${outcome === 'EXPIRED' ? VOID_OUTCOME : outcome}`);
 
         } catch (e) {
             console.error(`⚡ ORACLE: Failed quick play ${marketId}:`, e.message);
-            // Mark as expired on error to prevent blocking
-            await doc.ref.update({ 
-                isResolved: true, 
-                winningOutcome: 'EXPIRED', 
-                resolvedAt: new Date(),
-                status: 'expired',
-                errorMessage: e.message
-            });
+            job.recordError(marketId, e);
+            // Errors are retried next run; a quick play that still can't be resolved
+            // long after its resolution time is voided so stakers get their money back
+            const hoursPastResolution = (Date.now() - getResolvesAt(market).getTime()) / (60 * 60 * 1000);
+            if (hoursPastResolution < QUICK_PLAY_VOID_AFTER_HOURS) continue;
+            try {
+                const settlement = await voidMarket(db, APP_ID, doc.ref, 'oracle-expired', { errorMessage: e.message });
+                if (!settlement.alreadySettled) {
+                    job.touch(marketId);
+                    console.log(`↩️ ORACLE: Voided quick play "${market.title}" after ${Math.floor(hoursPastResolution)}h of failed resolution`);
+                    await notifyMarketStakers(marketId, market.title, VOID_OUTCOME);
+                }
+            } catch (voidError) {
+                console.error(`⚡ ORACLE: Failed to void quick play ${marketId}:`, voidError.message);
+            }
+        }
+    }
+}
+
+// --- ORACLE: Close Staking On Markets Past Their Deadline ---
+async function closeExpiredStaking(job = createJobContext()) {
+    console.log("🔒 ORACLE: Running closeExpiredStaking...");
+
+    if (!db) {
+        console.warn("⚠️ Database not initialized, skipping staking close");
+        return;
+    }
+
+    const now = new Date();
+    let closedCount = 0;
+
+    for (const collectionName of ['standard_markets', 'quick_play_markets']) {
+        try {
+            // User-created markets from before they carried a status have none, so
+            // query on isResolved and let isStakingExpired treat a missing status as active
+            const snapshot = await db.collection(`artifacts/${APP_ID}/public/data/${collectionName}`)
+                .where('isResolved', '==', false)
+                .get();
+
+            const expired = snapshot.docs.filter(doc => isStakingExpired(doc.data(), now));
+
+            for (const doc of expired) {
+                await doc.ref.update({ status: 'closed', stakingClosedAt: now });
+                job.touch(doc.id);
+                closedCount++;
+                console.log(`🔒 ORACLE: Staking closed on "${doc.data().title}" (${doc.id})`);
+            }
+        } catch (error) {
+            console.error(`🔒 ORACLE: Failed to close staking on ${collectionName}:`, error.message);
+            job.recordError(collectionName, error);
         }
     }
+
+    console.log(`🔒 ORACLE: Closed staking on ${closedCount} markets`);
 }
 
 // Enhanced market data fetch with sentiment, volatility, and technical analysis
@@ -1184,7 +1298,7 @@ async function getAdvancedMarketData() {
 }
 
 // Create daily markets with AI-generated trending questions
-async function createDailyMarkets() {
+async function createDailyMarkets(job = createJobContext()) {
     console.log("ORACLE: Creating daily markets with ADVANCED AI analysis...");
     
     try {
@@ -1236,9 +1350,14 @@ Return ONLY a JSON array with objects containing:
 - confidence: HIGH/MEDIUM/LOW
 - type: binary (YES/NO) or multi (3-4 options)
 - options: [for multi-option only] array of 3-4 outcome names
+- duration: time from now until the outcome is known, in days (e.g. "30d", "45d")
+- priceTarget: [crypto price-threshold questions only] {"asset": "BTC"|"ETH", "comparator": ">"|"<", "threshold": <USD number>}, checked against the live price when the duration ends
+- resolutionCriteria: exactly what must happen for each outcome, with the precise metric, threshold and time zone
+- resolutionSources: array of 1-3 authoritative sources to check (official sites, data providers)
+- edgeCaseRule: what happens on postponement, cancellation, ties or missing data
 
-Example binary: [{"title": "Will BTC hit X by date?", "category": "Crypto", "description": "...", "confidence": "HIGH", "type": "binary"}]
-Example multi: [{"title": "Which team wins...", "category": "Sports", "type": "multi", "options": ["Team A", "Team B", "Team C"]}]`;
+Example binary: [{"title": "Will BTC hit X by date?", "category": "Crypto", "description": "...", "confidence": "HIGH", "type": "binary", "duration": "30d"}]
+Example multi: [{"title": "Which team wins...", "category": "Sports", "type": "multi", "options": ["Team A", "Team B", "Team C"], "duration": "45d"}]`;
 
         // Calculate dynamic dates for standard markets
         const todayDate = new Date();
@@ -1268,7 +1387,7 @@ REQUIREMENTS:
             generationConfig: { responseMimeType: "application/json" }
         };
 
-        const response = await callGoogleApi(payload);
+        const response = await callGoogleApi(payload, 'market-generation');
         let aiMarkets = [];
 
         try {
@@ -1286,14 +1405,10 @@ REQUIREMENTS:
         for (const marketData of aiMarkets) {
             try {
                 const marketRef = db.collection(`artifacts/${APP_ID}/public/data/standard_markets`).doc();
-                const resolutionDate = new Date();
-                resolutionDate.setDate(resolutionDate.getDate() + 45); // Resolve in 45 days for standard markets
-                
-                // Validate resolution date is in the future
-                if (resolutionDate < new Date()) {
-                    console.warn(`⚠️ Skipping market with past date: ${resolutionDate}`);
-                    continue;
-                }
+                const now = new Date();
+                // Resolve after the AI's duration (45 days when missing or out of range)
+                const duration = normalizeDuration(marketData.duration, STANDARD_MARKET_DURATION);
+                const resolutionDate = new Date(now.getTime() + parseDurationMs(duration));
 
                 // Handle both binary and multi-option markets
                 if (marketData.type === 'multi' && marketData.options && marketData.options.length > 0) {
@@ -1309,11 +1424,15 @@ REQUIREMENTS:
                         id: marketRef.id,
                         title: marketData.title || "Prediction Market",
                         category: marketData.category || "General",
+                        ...normalizeResolutionRules(marketData),
                         description: marketData.description || "",
                         createdByDisplayName: 'PredoraOracle',
-                        createdAt: new Date(),
+                        createdAt: now,
                         isResolved: false,
+                        duration,
+                        resolvesAt: resolutionDate,
                         resolutionDate: resolutionDate.toISOString().split('T')[0],
+                        stakingDeadline: getDefaultStakingDeadline(now, resolutionDate),
                         status: 'active',
                         marketType: 'multi',
                         marketStructure: 'multi-option',
@@ -1341,11 +1460,15 @@ REQUIREMENTS:
                         id: marketRef.id,
                         title: marketData.title || "Prediction Market",
                         category: marketData.category || "General",
+                        ...normalizeResolutionRules(marketData),
                         description: marketData.description || "",
                         createdByDisplayName: 'PredoraOracle',
-                        createdAt: new Date(),
+                        createdAt: now,
                         isResolved: false,
+                        duration,
+                        resolvesAt: resolutionDate,
                         resolutionDate: resolutionDate.toISOString().split('T')[0],
+                        stakingDeadline: getDefaultStakingDeadline(now, resolutionDate),
                         status: 'active',
                         yesPool: yesPool,
                         noPool: noPool,
@@ -1354,22 +1477,26 @@ REQUIREMENTS:
                         totalPool: totalPool,
                         totalStakeVolume: totalPool,
                         marketType: 'binary',
+                        resolutionSpec: buildPriceResolutionSpec(marketData.priceTarget, resolutionDate),
                         isMock: false
                     });
                 }
 
+                job.touch(marketRef.id);
                 console.log(`✅ Created market: ${marketData.title} (Resolves: ${resolutionDate.toISOString().split('T')[0]})`);
             } catch (marketError) {
                 console.error(`⚠️ Failed to create market: ${marketError.message}`);
+                job.recordError(null, marketError);
             }
         }
     } catch (error) {
         console.error("ORACLE: Failed to create daily markets:", error.message);
+        job.recordError(null, error);
     }
 }
 
 // Auto-generate quick play markets (24-48 hour markets) with AI
-async function autoGenerateQuickPlays() {
+async function autoGenerateQuickPlays(job = createJobContext()) {
     console.log("ORACLE: Generating quick play markets with AI...");
     
     try {
@@ -1425,8 +1552,12 @@ Return ONLY a JSON array with:
 - type: binary or multi
 - options: [for multi only] array of outcomes
 - rationale: why this move is likely
+- priceTarget: [crypto price-threshold questions only] {"asset": "BTC"|"ETH", "comparator": ">"|"<", "threshold": <USD number>}, checked against the live price when the duration ends
+- resolutionCriteria: exactly what must happen for each outcome, with the precise metric, threshold and time zone
+- resolutionSources: array of 1-3 authoritative sources to check (official sites, data providers)
+- edgeCaseRule: what happens on postponement, cancellation, ties or missing data
 
-Example binary: [{"title": "Will BTC stay above $X on ${tomorrowStr}?", "category": "Crypto", "duration": "24h", "type": "binary"}]
+Example binary: [{"title": "Will BTC stay above $X on ${tomorrowStr}?", "category": "Crypto", "duration": "24h", "type": "binary", "priceTarget": {"asset": "BTC", "comparator": ">", "threshold": 100000}}]
 Example multi: [{"title": "Which team wins...", "category": "Sports", "duration": "24h", "type": "multi", "options": ["Team A", "Team B"]}]`;
 
         const userPrompt = `TODAY: ${todayStr} - Generate quick plays for ${tomorrowStr}-${dayAfterStr} events
@@ -1447,7 +1578,7 @@ TASK: Generate 6 SMART quick plays for ${tomorrowStr}-${dayAfterStr}:
             generationConfig: { responseMimeType: "application/json" }
         };
 
-        const response = await callGoogleApi(payload);
+        const response = await callGoogleApi(payload, 'quick-play-generation');
         let aiQuickPlays = [];
 
         try {
@@ -1467,7 +1598,9 @@ TASK: Generate 6 SMART quick plays for ${tomorrowStr}-${dayAfterStr}:
             try {
                 const marketRef = db.collection(`artifacts/${APP_ID}/public/data/quick_play_markets`).doc();
                 const now = new Date();
-                const futureDate = new Date(now.getTime() + 48 * 60 * 60 * 1000); // 48 hours max
+                // Resolve after the AI's duration (24h when missing or out of range)
+                const duration = normalizeDuration(marketData.duration, QUICK_PLAY_DURATION);
+                const futureDate = new Date(now.getTime() + parseDurationMs(duration));
                 
                 // Handle both binary and multi-option quick plays
                 if (marketData.type === 'multi' && marketData.options && marketData.options.length > 0) {
@@ -1483,10 +1616,13 @@ TASK: Generate 6 SMART quick plays for ${tomorrowStr}-${dayAfterStr}:
                         id: marketRef.id,
                         title: marketData.title || "Quick Play Market",
                         category: marketData.category || "General",
-                        duration: marketData.duration || "24h",
+                        ...normalizeResolutionRules(marketData),
+                        duration,
                         createdByDisplayName: 'PredoraOracle',
                         createdAt: now,
+                        resolvesAt: futureDate,
                         resolutionDate: futureDate.toISOString().split('T')[0],
+                        stakingDeadline: getDefaultStakingDeadline(now, futureDate),
                         isResolved: false,
                         status: 'active',
                         marketType: 'multi',
@@ -1515,10 +1651,13 @@ TASK: Generate 6 SMART quick plays for ${tomorrowStr}-${dayAfterStr}:
                         id: marketRef.id,
                         title: marketData.title || "Quick Play Market",
                         category: marketData.category || "General",
-                        duration: marketData.duration || "24h",
+                        ...normalizeResolutionRules(marketData),
+                        duration,
                         createdByDisplayName: 'PredoraOracle',
                         createdAt: now,
+                        resolvesAt: futureDate,
                         resolutionDate: futureDate.toISOString().split('T')[0],
+                        stakingDeadline: getDefaultStakingDeadline(now, futureDate),
                         isResolved: false,
                         status: 'active',
                         yesPool: yesPool,
@@ -1528,46 +1667,281 @@ TASK: Generate 6 SMART quick plays for ${tomorrowStr}-${dayAfterStr}:
                         totalPool: totalPool,
                         totalStakeVolume: totalPool,
                         marketType: 'binary',
+                        resolutionSpec: buildPriceResolutionSpec(marketData.priceTarget, futureDate),
                         isMock: false
                     });
                     console.log(`✅ Created quick play (BINARY): ${marketData.title}`);
                 }
+                job.touch(marketRef.id);
             } catch (marketError) {
                 console.error(`⚠️ Failed to create quick play: ${marketError.message}`);
+                job.recordError(null, marketError);
             }
         }
     } catch (error) {
         console.error("ORACLE: Failed to create quick plays:", error.message);
+        job.recordError(null, error);
     }
 }
 
-app.post('/api/run-jobs', async (req, res) => {
-    const { key } = req.body;
-    if (!CRON_SECRET || key !== CRON_SECRET) return res.status(401).json({ error: "Unauthorized" });
+// --- ORACLE JOB REGISTRY ---
+// Every scheduled job runs through runJob so concurrent triggers (in-process cron,
+// cron-job.js, admin) never overlap and each run lands in job_runs.
+// `schedule` is the default cadence; admins override it in job_config/schedules.
+// Generation jobs run rarely - they call Gemini and stop at the active market caps anyway.
+const ORACLE_JOBS = {
+    'close-staking': {
+        description: 'Close staking on markets past their deadline',
+        schedule: { enabled: true, intervalMinutes: 5 },
+        run: (job) => closeExpiredStaking(job)
+    },
+    'match-limit-orders': {
+        description: 'Fill open limit orders whose trigger odds are reached',
+        schedule: { enabled: true, intervalMinutes: 5 },
+        run: (job) => matchLimitOrders(null, job)
+    },
+    'resolve-markets': {
+        description: 'Resolve standard markets past their resolution date',
+        schedule: { enabled: true, intervalMinutes: 15 },
+        // AI verification per market can be slow
+        leaseMs: 30 * 60 * 1000,
+        run: (job) => autoResolveMarkets(job)
+    },
+    'finalize-settlements': {
+        description: 'Pay out resolved markets whose dispute window closed undisputed',
+        schedule: { enabled: true, intervalMinutes: 5 },
+        run: (job) => finalizePendingSettlements(job)
+    },
+    'close-juries': {
+        description: 'Close dispute juries past their deadline and apply verdicts',
+        schedule: { enabled: true, intervalMinutes: 15 },
+        run: (job) => closeExpiredJuries(db, APP_ID, job)
+    },
+    'resolve-polls': {
+        description: 'Resolve expired quick polls and distribute XP',
+        schedule: { enabled: true, intervalMinutes: 5 },
+        run: (job) => autoResolveQuickPolls(job)
+    },
+    'resolve-quick-plays': {
+        description: 'Resolve quick play markets past their resolution date',
+        schedule: { enabled: true, intervalMinutes: 5 },
+        run: (job) => autoResolveQuickPlays(job)
+    },
+    'generate-markets': {
+        description: 'Create daily AI-generated standard markets',
+        schedule: { enabled: true, intervalMinutes: 24 * 60 },
+        run: (job) => createDailyMarkets(job)
+    },
+    'generate-quick-plays': {
+        description: 'Create AI-generated quick play markets',
+        schedule: { enabled: true, intervalMinutes: 6 * 60 },
+        run: (job) => autoGenerateQuickPlays(job)
+    },
+    'reconcile-ledger': {
+        description: 'Check profile balances against the ledger',
+        schedule: { enabled: true, intervalMinutes: 60 },
+        run: async () => {
+            const report = await runLedgerReconciliation();
+            if (!report) throw new Error('Reconciliation failed');
+        }
+    },
+    'cleanup': {
+        description: 'Repair markets with invalid liquidity',
+        schedule: { enabled: true, intervalMinutes: 24 * 60 },
+        run: (job) => cleanupBrokenMarkets(job)
+    },
+    'migrate-resolves-at': {
+        description: 'Backfill resolvesAt timestamps on markets created before it existed',
+        // One-off: runs on startup and on demand, not on the schedule
+        schedule: { enabled: false, intervalMinutes: 24 * 60 },
+        run: (job) => migrateResolvesAt(job)
+    }
+};
 
-    try {
-        await autoResolveMarkets();
-        await autoResolveQuickPolls();
-        await autoResolveQuickPlays();
-        await createDailyMarkets();
-        await autoGenerateQuickPlays();
-        res.status(200).json({ success: true });
-    } catch (e) {
-        console.error("ORACLE: Job failed", e);
-        res.status(500).json({ error: "Job failed" });
+// Run the named jobs one after another; a failed job doesn't stop the rest
+async function runOracleJobs(jobNames, trigger) {
+    const runs = [];
+    for (const jobName of jobNames) {
+        runs.push(await runJob(db, APP_ID, jobName, ORACLE_JOBS[jobName], trigger));
     }
-});
+    return runs;
+}
+
+// Run every enabled job whose interval has elapsed
+async function runDueOracleJobs(trigger) {
+    const schedules = await getJobSchedules(db, APP_ID, ORACLE_JOBS);
+    const dueJobs = await getDueJobs(db, APP_ID, ORACLE_JOBS, schedules);
+    return runOracleJobs(dueJobs, trigger);
+}
+
+// Body: { key, jobs?: string[] }. Without `jobs`, runs whatever is due; named jobs
+// run immediately unless an admin has disabled them.
+app.post('/api/run-jobs', async (req, res) => {
+    const { key, jobs } = req.body;
+    if (!CRON_SECRET || key !== CRON_SECRET) return res.status(401).json({ error: "Unauthorized" });
+    if (!db) return res.status(503).json({ error: "Database not initialized" });
+
+    if (jobs !== undefined) {
+        if (!Array.isArray(jobs) || jobs.length === 0) {
+            return res.status(400).json({ error: "jobs must be a non-empty array of job names" });
+        }
+        const unknown = jobs.filter(name => !ORACLE_JOBS[name]);
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Unknown job(s): ${unknown.join(', ')}`, availableJobs: Object.keys(ORACLE_JOBS) });
+        }
+    }
+
+    try {
+        if (!jobs) {
+            const runs = await runDueOracleJobs('api');
+            return res.status(200).json({ success: true, runs });
+        }
+
+        const schedules = await getJobSchedules(db, APP_ID, ORACLE_JOBS);
+        const requested = [...new Set(jobs)];
+        const disabled = requested.filter(name => !schedules[name].enabled);
+        const runs = await runOracleJobs(requested.filter(name => schedules[name].enabled), 'api');
+        res.status(200).json({ success: true, runs, disabled });
+    } catch (e) {
+        console.error("ORACLE: Job failed", e);
+        res.status(500).json({ error: "Job failed" });
+    }
+});
 
 // --- HELPER FUNCTIONS ---
+// Assets with a balance field and a price (getBalanceField / getMockPrice)
+const SUPPORTED_ASSETS = ['BUSD', 'BNB', 'CAKE'];
 function getMockPrice(asset) { return asset === 'BNB' ? 500 : asset === 'CAKE' ? 3.5 : 1; }
-function getBalanceField(asset) { return asset === 'BNB' ? 'bnbBalance' : asset === 'CAKE' ? 'cakeBalance' : 'balance'; }
-function generateJuryCode() {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let code = '';
-    for (let i = 0; i < 8; i++) {
-        code += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    return code;
+function generateTxHash() { return '0x' + crypto.randomBytes(32).toString('hex'); }
+function getRandomXP(baseAmount) {
+    // +/- 20% around the base amount (same range the client used)
+    const min = baseAmount * 0.8;
+    const max = baseAmount * 1.2;
+    return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+// Standard market first, then quick play (both share the pledges collection)
+async function findMarketRef(marketId) {
+    const standardRef = db.collection(`artifacts/${APP_ID}/public/data/standard_markets`).doc(marketId);
+    if ((await standardRef.get()).exists) return standardRef;
+    const quickPlayRef = db.collection(`artifacts/${APP_ID}/public/data/quick_play_markets`).doc(marketId);
+    if ((await quickPlayRef.get()).exists) return quickPlayRef;
+    return null;
+}
+function createHttpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Allowed durations for oracle-created markets; out-of-range AI values fall back
+const STANDARD_MARKET_DURATION = { fallback: '45d', minMs: 24 * 60 * 60 * 1000, maxMs: 60 * 24 * 60 * 60 * 1000 };
+const QUICK_PLAY_DURATION = { fallback: '24h', minMs: 60 * 60 * 1000, maxMs: 48 * 60 * 60 * 1000 };
+
+function normalizeDuration(duration, limits) {
+    const ms = parseDurationMs(duration);
+    return ms && ms >= limits.minMs && ms <= limits.maxMs
+        ? duration.trim().toLowerCase()
+        : limits.fallback;
+}
+
+// Resolution rules from a creator or the AI generator: what counts for each outcome,
+// where to check it, and what happens on postponement/ties. Missing parts are null/[].
+function normalizeResolutionRules(input = {}) {
+    const text = (value, maxLength) => typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : null;
+    const sources = Array.isArray(input.resolutionSources)
+        ? input.resolutionSources
+        : typeof input.resolutionSources === 'string' ? input.resolutionSources.split(/[\n,]/) : [];
+    return {
+        resolutionCriteria: text(input.resolutionCriteria, 1000),
+        resolutionSources: sources.map(source => text(source, 300)).filter(Boolean).slice(0, 5),
+        edgeCaseRule: text(input.edgeCaseRule, 500)
+    };
+}
+
+// Price-feed resolution spec for an AI crypto threshold market, observed at resolvesAt.
+// null (resolve through the swarm) when the AI gave no usable price target.
+function buildPriceResolutionSpec(priceTarget, resolvesAt) {
+    if (!priceTarget) return null;
+    try {
+        return normalizeResolutionSpec({
+            ...priceTarget,
+            type: PRICE_THRESHOLD_SPEC,
+            observationTime: resolvesAt,
+            source: PRICE_FEED_CONFIG.defaultSource
+        });
+    } catch (error) {
+        console.warn(`⚠️ Ignoring AI price target: ${error.message}`);
+        return null;
+    }
+}
+
+// Staking close for oracle-created markets: a quarter of the market's lifetime before
+// resolvesAt, at most a day - a 1h quick play closes 15 minutes out, a 45d market a day out
+const MAX_STAKING_CLOSE_BUFFER_MS = 24 * 60 * 60 * 1000;
+function getDefaultStakingDeadline(createdAt, resolvesAt) {
+    const bufferMs = Math.min((resolvesAt - createdAt) / 4, MAX_STAKING_CLOSE_BUFFER_MS);
+    return new Date(resolvesAt.getTime() - bufferMs);
+}
+
+// Share of the market pool backing `pick` (0-1), unclamped - used to price cash-outs
+function getPickPoolShare(marketData, pick) {
+    if (marketData.marketStructure === 'multi-option' || marketData.marketType === 'multi') {
+        const optionAmounts = marketData.optionAmounts || {};
+        const totalPool = Object.values(optionAmounts).reduce((sum, amt) => sum + amt, 0);
+        return totalPool > 0 ? (optionAmounts[pick] || 0) / totalPool : 0;
+    }
+    const totalYesStake = marketData.totalYesStake || marketData.yesPool || 0;
+    const totalNoStake = marketData.totalNoStake || marketData.noPool || 0;
+    const totalStaked = totalYesStake + totalNoStake;
+    if (totalStaked <= 0) return 0;
+    return (pick === 'YES' ? totalYesStake : totalNoStake) / totalStaked;
+}
+
+// Early-exit quote for closing `amount` (pledge asset units) of a pledge. The closed stake is
+// valued at the pick's current pool share relative to its share when staked (entryPrice),
+// minus CASH_OUT_FEE_PERCENT. Only the closed stake leaves the pool, so a parimutuel exit
+// is capped at that stake - a gain would be paid from money the pool doesn't release.
+// LMSR pledges instead sell their shares back to the market maker.
+function quoteCashOut(pledge, marketData, amount) {
+    const stakeUsd = pledge.amountUsd || pledge.amount || 0;
+    const fraction = pledge.amount > 0 ? Math.min(1, amount / pledge.amount) : 1;
+    const closedStakeUsd = stakeUsd * fraction;
+    const pick = pledge.optionLabel || pledge.pick;
+    const lmsrSale = isLmsrMarket(marketData) && pledge.shares
+        ? lmsrQuote(marketData, pick, -pledge.shares * fraction)
+        : null;
+    const currentPrice = lmsrSale ? lmsrSale.pricesBefore[pick] : getPickPoolShare(marketData, pick);
+    // Older pledges have no entryPrice; potentialReturn = stake / share at stake time
+    const entryPrice = pledge.entryPrice || (pledge.potentialReturn > 0 ? stakeUsd / pledge.potentialReturn : currentPrice);
+
+    let grossUsd = closedStakeUsd;
+    if (lmsrSale) {
+        grossUsd = -lmsrSale.cost;
+    } else if (entryPrice > 0 && currentPrice > 0) {
+        grossUsd = Math.min(closedStakeUsd * currentPrice / entryPrice, closedStakeUsd);
+    }
+    const feeUsd = grossUsd * CASH_OUT_FEE_PERCENT / 100;
+
+    return {
+        lmsrSale,
+        amount,
+        closedStakeUsd,
+        entryPrice,
+        currentPrice,
+        grossUsd,
+        feePercent: CASH_OUT_FEE_PERCENT,
+        feeUsd,
+        proceedsUsd: grossUsd - feeUsd,
+        isFullClose: fraction >= 1
+    };
+}
+
+// Proportional payout preview: stake + (stake / totalWinningStake) * losingPool
+function computePayoutPreview(stakeUsd, winningPool, losingPool) {
+    if (winningPool > 0 && losingPool > 0) {
+        return stakeUsd + (stakeUsd / winningPool) * losingPool;
+    }
+    return stakeUsd;
 }
 
 // =============================================================================
@@ -1907,7 +2281,8 @@ app.post('/api/auth/demo-login', async (req, res) => {
                 const userSnap = await userRef.get();
                 
                 if (!userSnap.exists) {
-                    await userRef.set({
+                    const batch = db.batch();
+                    batch.set(userRef, {
                         id: demoUserId,
                         displayName: userName,
                         isDemo: true,
@@ -1915,11 +2290,21 @@ app.post('/api/auth/demo-login', async (req, res) => {
                         lastLogin: new Date(),
                         xp: 1000,
                         balance: 5000,
+                        ledgerOpenedAt: new Date(),
                         avatarUrl: `https://ui-avatars.com/api/?name=${userName}&background=random`,
                         following: [],
                         followers: [],
                         badges: ['Demo User']
                     });
+                    recordTransfer(batch, db, APP_ID, {
+                        from: SYSTEM_ACCOUNTS.FAUCET,
+                        to: userAccount(demoUserId),
+                        field: 'balance',
+                        amount: 5000,
+                        reason: LEDGER_REASONS.FAUCET,
+                        memo: 'demo account grant'
+                    });
+                    await batch.commit();
                 } else {
                     await userRef.update({ lastLogin: new Date() });
                 }
@@ -1949,230 +2334,1377 @@ app.post('/api/auth/demo-login', async (req, res) => {
         res.status(200).json({ success: true, token: customToken, message: `Welcome ${userName}!` });
         
     } catch (error) {
-        console.error('Error in demo login:', error);
+        console.error('Error in demo login:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// =============================================================================
+// MARKET STAKING ENDPOINTS
+// =============================================================================
+
+// Current odds (0-100) of `pick` on a market, whichever pricing mode it uses
+function getCurrentPickPercent(marketData, pick) {
+    if (isLmsrMarket(marketData)) return (lmsrPrices(marketData)[pick] || 0) * 100;
+    if (marketData.isNoLoss) return pick === 'YES' ? marketData.yesPercent : marketData.noPercent;
+    return computeMarketOdds(marketData)[pick] || 0;
+}
+
+/**
+ * Place a stake on a standard or quick play market. Pledge, pool totals and
+ * balance are written in a single transaction so clients never touch balances.
+ * LMSR markets also accept `shares` instead of `amount` (cost is then quoted).
+ * `maxPickPercent` makes the stake conditional on the pick's odds being at or
+ * below that level when the transaction runs (used by limit orders).
+ * Validation failures throw errors carrying an HTTP `status`.
+ */
+async function placeStake(userId, marketId, { pick, amount: rawAmount, shares = null, asset = 'BUSD', maxPickPercent = null }) {
+    let amount = parseFloat(rawAmount);
+    const requestedShares = shares !== null && shares !== undefined ? parseFloat(shares) : null;
+
+    if (requestedShares !== null) {
+        if (!Number.isFinite(requestedShares) || requestedShares <= 0 || requestedShares > LMSR_CONFIG.maxSharesPerTrade) {
+            throw createHttpError(400, 'Invalid share amount');
+        }
+    } else if (!Number.isFinite(amount) || amount <= 0) {
+        throw createHttpError(400, 'Invalid stake amount');
+    }
+    if (!pick || typeof pick !== 'string') {
+        throw createHttpError(400, 'pick required');
+    }
+
+    const balanceField = getBalanceField(asset);
+    let amountUsd = amount * getMockPrice(asset);
+    const xpToAward = getRandomXP(10);
+    const txHash = generateTxHash();
+
+    const result = await db.runTransaction(async (transaction) => {
+        const profileRef = db.collection(`artifacts/${APP_ID}/public/data/user_profile`).doc(userId);
+        const publicProfileRef = db.collection(`artifacts/${APP_ID}/public/data/leaderboard`).doc(userId);
+        const standardRef = db.collection(`artifacts/${APP_ID}/public/data/standard_markets`).doc(marketId);
+        const quickPlayRef = db.collection(`artifacts/${APP_ID}/public/data/quick_play_markets`).doc(marketId);
+
+        // All reads first (Firestore transactions require reads before writes)
+        const profileSnap = await transaction.get(profileRef);
+        let marketSnap = await transaction.get(standardRef);
+        let isQuickPlay = false;
+        if (!marketSnap.exists) {
+            marketSnap = await transaction.get(quickPlayRef);
+            isQuickPlay = true;
+        }
+
+        if (!profileSnap.exists) throw createHttpError(404, 'User profile not found');
+        if (!marketSnap.exists) throw createHttpError(404, 'Market not found');
+
+        const marketData = marketSnap.data();
+        if (marketData.isResolved || (marketData.status && marketData.status !== 'active')) {
+            throw createHttpError(400, 'Market is closed');
+        }
+        const stakingClosesAt = getStakingClosesAt(marketData);
+        if (stakingClosesAt && stakingClosesAt <= new Date()) {
+            throw createHttpError(400, 'Staking has closed for this market');
+        }
+        if (maxPickPercent !== null && getCurrentPickPercent(marketData, pick) > maxPickPercent) {
+            throw createHttpError(409, `${pick} odds are above ${maxPickPercent}%`);
+        }
+
+        // LMSR: price the trade off the market maker's cost function
+        let lmsrTrade = null;
+        if (isLmsrMarket(marketData)) {
+            if (!getMarketOutcomes(marketData).includes(pick)) {
+                throw createHttpError(400, 'Invalid option selected');
+            }
+            const shares = requestedShares ?? lmsrSharesForCost(marketData, pick, amountUsd);
+            lmsrTrade = lmsrQuote(marketData, pick, shares);
+            if (requestedShares !== null) {
+                amountUsd = lmsrTrade.cost;
+                amount = amountUsd / getMockPrice(asset);
+            }
+        } else if (requestedShares !== null) {
+            throw createHttpError(400, 'Share-based stakes are only available on LMSR markets');
+        }
+
+        const currentBalance = profileSnap.data()[balanceField] || 0;
+        if (amount > currentBalance) {
+            throw createHttpError(400, `Insufficient ${asset} balance. You only have ${currentBalance.toFixed(4)}.`);
+        }
+
+        const isMultiOption = marketData.marketStructure === 'multi-option' || marketData.marketType === 'multi';
+        const marketUpdates = { totalStakeVolume: admin.firestore.FieldValue.increment(amountUsd) };
+        let potentialPayoutUsd;
+        let odds;
+
+        if (lmsrTrade) {
+            // Each share pays 1 USD if its outcome wins
+            potentialPayoutUsd = lmsrTrade.shares;
+            odds = Object.fromEntries(Object.entries(lmsrTrade.pricesAfter).map(([outcome, price]) => [outcome, price * 100]));
+            marketUpdates.lmsrShares = lmsrTrade.sharesAfter;
+            marketUpdates.lmsrCollectedUsd = admin.firestore.FieldValue.increment(amountUsd);
+            if (!isMultiOption) {
+                marketUpdates.yesPercent = odds.YES;
+                marketUpdates.noPercent = odds.NO;
+            }
+        } else if (isMultiOption) {
+            const options = marketData.options || [];
+            if (!options.includes(pick)) {
+                throw createHttpError(400, 'Invalid option selected');
+            }
+
+            // Normalize optionAmounts so every option has an entry
+            const optionAmounts = {};
+            options.forEach(option => {
+                optionAmounts[option] = (marketData.optionAmounts || {})[option] || 0;
+            });
+            optionAmounts[pick] += amountUsd;
+
+            const totalPool = Object.values(optionAmounts).reduce((sum, amt) => sum + amt, 0);
+            potentialPayoutUsd = computePayoutPreview(amountUsd, optionAmounts[pick], totalPool - optionAmounts[pick]);
+            marketUpdates.optionAmounts = optionAmounts;
+            marketUpdates.totalPool = totalPool;
+            odds = computeMarketOdds({ ...marketData, optionAmounts });
+        } else {
+            if (pick !== 'YES' && pick !== 'NO') {
+                throw createHttpError(400, 'Invalid pick. Must be YES or NO for binary markets.');
+            }
+
+            if (marketData.isNoLoss) {
+                const currentOdds = pick === 'YES' ? marketData.yesPercent : marketData.noPercent;
+                if (!Number.isFinite(currentOdds) || currentOdds <= 0 || currentOdds > 100) {
+                    throw createHttpError(400, 'Invalid market odds. Cannot calculate payout.');
+                }
+                potentialPayoutUsd = amountUsd / (currentOdds / 100);
+                odds = { YES: marketData.yesPercent, NO: marketData.noPercent };
+            } else {
+                // Fallback to yesPool/noPool for legacy markets without stake totals
+                let totalYesStake = marketData.totalYesStake || marketData.yesPool || 0;
+                let totalNoStake = marketData.totalNoStake || marketData.noPool || 0;
+                if (pick === 'YES') totalYesStake += amountUsd;
+                else totalNoStake += amountUsd;
+
+                const winningPool = pick === 'YES' ? totalYesStake : totalNoStake;
+                const losingPool = pick === 'YES' ? totalNoStake : totalYesStake;
+                potentialPayoutUsd = computePayoutPreview(amountUsd, winningPool, losingPool);
+                odds = computeMarketOdds({ totalYesStake, totalNoStake });
+
+                Object.assign(marketUpdates, {
+                    totalYesStake,
+                    totalNoStake,
+                    yesPool: totalYesStake,
+                    noPool: totalNoStake,
+                    totalPool: totalYesStake + totalNoStake,
+                    yesPercent: odds.YES,
+                    noPercent: odds.NO
+                });
+            }
+        }
+
+        // Writes
+        transaction.update(marketSnap.ref, marketUpdates);
+
+        const noLossOdds = { YES: marketData.yesPercent, NO: marketData.noPercent };
+        recordPriceSnapshot(transaction, marketSnap.ref, {
+            event: 'stake',
+            oddsBefore: marketData.isNoLoss && !lmsrTrade ? noLossOdds : computeMarketOdds(marketData),
+            odds,
+            totalPool: lmsrTrade
+                ? (marketData.lmsrCollectedUsd || 0) + amountUsd
+                : marketUpdates.totalPool ?? marketData.totalPool ?? 0,
+            volume: (marketData.totalStakeVolume || 0) + amountUsd,
+            tradeUsd: amountUsd
+        });
+
+        const pledgeRef = db.collection(`artifacts/${APP_ID}/public/data/pledges`).doc();
+        const pledgeData = {
+            marketId,
+            marketTitle: marketData.title || '',
+            userId,
+            pick,
+            amount,
+            asset,
+            amountUsd,
+            potentialReturn: potentialPayoutUsd,
+            entryPrice: potentialPayoutUsd > 0 ? amountUsd / potentialPayoutUsd : null,
+            txHash,
+            isResolved: false,
+            isWinner: null,
+            payout: 0,
+            createdAt: new Date().toISOString(),
+            stakeTimestamp: admin.firestore.FieldValue.serverTimestamp(),
+            marketStructure: marketData.marketStructure || 'binary'
+        };
+        if (isMultiOption) pledgeData.optionLabel = pick;
+        if (isQuickPlay) pledgeData.isQuickPlay = true;
+        if (lmsrTrade) {
+            pledgeData.pricingMode = 'lmsr';
+            pledgeData.shares = lmsrTrade.shares;
+            pledgeData.averagePrice = lmsrTrade.averagePrice;
+        }
+        transaction.set(pledgeRef, pledgeData);
+
+        const logRef = db.collection(`artifacts/${APP_ID}/public/data/stake_logs`).doc();
+        transaction.set(logRef, {
+            marketId,
+            amountUsd,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        transaction.update(profileRef, {
+            [balanceField]: admin.firestore.FieldValue.increment(-amount),
+            xp: admin.firestore.FieldValue.increment(xpToAward),
+            totalPredictions: admin.firestore.FieldValue.increment(1)
+        });
+        transaction.set(publicProfileRef, {
+            xp: admin.firestore.FieldValue.increment(xpToAward),
+            totalPredictions: admin.firestore.FieldValue.increment(1)
+        }, { merge: true });
+
+        recordTransfer(transaction, db, APP_ID, {
+            from: userAccount(userId),
+            to: marketAccount(marketId),
+            field: balanceField,
+            amount,
+            reason: LEDGER_REASONS.STAKE,
+            refId: pledgeRef.id
+        });
+        recordTransfer(transaction, db, APP_ID, {
+            from: SYSTEM_ACCOUNTS.REWARDS,
+            to: userAccount(userId),
+            field: 'xp',
+            amount: xpToAward,
+            reason: LEDGER_REASONS.STAKE,
+            refId: pledgeRef.id
+        });
+
+        return {
+            pledgeId: pledgeRef.id,
+            odds,
+            potentialPayout: potentialPayoutUsd,
+            totalYesStake: marketUpdates.totalYesStake ?? null,
+            totalNoStake: marketUpdates.totalNoStake ?? null,
+            optionAmounts: marketUpdates.optionAmounts || null,
+            shares: lmsrTrade ? lmsrTrade.shares : null,
+            newBalance: currentBalance - amount
+        };
+    });
+
+    console.log(`💰 Stake placed: ${userId} staked ${amount} ${asset} on ${pick} (${marketId})`);
+    return {
+        success: true,
+        marketId,
+        pick,
+        amount,
+        asset,
+        amountUsd,
+        balanceField,
+        xpAwarded: xpToAward,
+        txHash,
+        ...result
+    };
+}
+
+// Minimum creator liquidity for a user-created market, in USD
+const MIN_MARKET_LIQUIDITY_USD = 100;
+// APY of the yield protocols a fixed-pot market can park its principal in
+const YIELD_PROTOCOL_APY = { aave: 4.12, compound: 3.88, lido: 3.2, yearn: 5.8, curve: 2.9, convex: 4.5 };
+
+// Validate a creator's market form and build the market document. The creator's
+// liquidity seeds the pools at their odds (or funds the LMSR market maker).
+function buildUserMarket(input, liquidityUsd) {
+    const title = typeof input.title === 'string' ? input.title.trim() : '';
+    const insight = typeof input.insight === 'string' ? input.insight.trim() : '';
+    const marketStructure = input.marketStructure === 'multi-option' ? 'multi-option' : 'binary';
+    const pricingMode = input.pricingMode === LMSR_PRICING_MODE ? LMSR_PRICING_MODE : 'parimutuel';
+    const resolvesAt = toDateValue(input.resolvesAt);
+    const rules = normalizeResolutionRules(input);
+
+    if (!title || !insight || !input.resolutionDate) throw createHttpError(400, 'Title, insight and resolution date are required');
+    if (!input.category || input.category === 'Other') throw createHttpError(400, 'Please select a market category');
+    if (!rules.resolutionCriteria || rules.resolutionSources.length === 0) {
+        throw createHttpError(400, 'Resolution criteria and at least one authoritative source are required');
+    }
+    if (!resolvesAt || resolvesAt <= new Date()) throw createHttpError(400, 'Resolution date and time must be in the future');
+    if (input.stakingDeadline && input.stakingDeadline >= input.resolutionDate) {
+        throw createHttpError(400, 'Staking deadline must be before the resolution date');
+    }
+    if (pricingMode === LMSR_PRICING_MODE && marketStructure !== 'binary') {
+        throw createHttpError(400, 'LMSR pricing is only available for YES/NO markets');
+    }
+
+    const isFixedPot = !!input.isFixedPot;
+    const yieldProtocol = isFixedPot ? input.yieldProtocol || null : null;
+    const market = {
+        title,
+        insight,
+        category: input.category,
+        marketStructure,
+        marketType: marketStructure === 'binary' ? 'binary' : 'multi',
+        isFixedPot,
+        stakingDeadline: input.stakingDeadline || null,
+        resolutionDate: input.resolutionDate,
+        resolvesAt,
+        resolvesAtTimeZone: input.resolvesAtTimeZone || null,
+        ...rules,
+        yieldProtocol,
+        totalStakeVolume: liquidityUsd,
+        totalPool: liquidityUsd,
+        uniqueStakerCount: 1,
+        refundVolumeGoal: 100,
+        refundStakerGoal: 10,
+        status: 'active',
+        isResolved: false,
+        isMock: false,
+        winningOutcome: null,
+        totalPrincipalUsd: isFixedPot ? liquidityUsd : 0,
+        accruedYieldUsd: 0,
+        protocolApy: YIELD_PROTOCOL_APY[yieldProtocol] || 0,
+        disputes: [],
+        resolutionSource: null,
+        adminEvents: []
+    };
+
+    if (marketStructure === 'binary') {
+        const yesPercent = parseFloat(input.yesPercent);
+        if (!Number.isFinite(yesPercent) || yesPercent <= 0 || yesPercent >= 100) {
+            throw createHttpError(400, 'Odds must be between 1% and 99%');
+        }
+        market.yesPercent = yesPercent;
+        market.noPercent = 100 - yesPercent;
+        if (pricingMode === LMSR_PRICING_MODE) {
+            // Liquidity covers the market maker's max loss b * ln(2)
+            const lmsrLiquidity = liquidityUsd / Math.LN2;
+            market.pricingMode = LMSR_PRICING_MODE;
+            market.lmsrLiquidity = lmsrLiquidity;
+            market.lmsrShares = lmsrSeedShares(lmsrLiquidity, yesPercent / 100);
+            market.lmsrCollectedUsd = 0;
+        } else {
+            market.yesPool = liquidityUsd * (yesPercent / 100);
+            market.noPool = liquidityUsd * (market.noPercent / 100);
+        }
+    } else {
+        const options = Array.isArray(input.options) ? input.options : [];
+        if (options.length < 3 || options.length > 6) throw createHttpError(400, 'Multi-option markets need 3 to 6 options');
+        if (options.reduce((sum, opt) => sum + (Number(opt.odds) || 0), 0) !== 100) {
+            throw createHttpError(400, 'Option odds must add up to 100%');
+        }
+        market.optionAmounts = options.reduce((acc, opt) => {
+            acc[opt.label || opt.name || opt.option] = liquidityUsd * (opt.odds / 100);
+            return acc;
+        }, {});
+        market.options = options;
+    }
+    return market;
+}
+
+// Create a user market: the creator's liquidity moves from their balance into the
+// market's pools and they earn creation XP, all in one transaction.
+app.post('/api/markets', requireAuth, requireFirebase, async (req, res) => {
+    const userId = req.user.uid;
+    const { liquidityAsset = 'BUSD' } = req.body;
+    const liquidityAmount = parseFloat(req.body.liquidityAmount);
+
+    try {
+        if (!Number.isFinite(liquidityAmount) || liquidityAmount <= 0) {
+            throw createHttpError(400, 'Invalid liquidity amount');
+        }
+        const liquidityUsd = liquidityAmount * getMockPrice(liquidityAsset);
+        if (liquidityUsd < MIN_MARKET_LIQUIDITY_USD) {
+            throw createHttpError(400, `Minimum liquidity is $${MIN_MARKET_LIQUIDITY_USD} USD`);
+        }
+
+        const market = buildUserMarket(req.body, liquidityUsd);
+        const balanceField = getBalanceField(liquidityAsset);
+        const xpToAward = getRandomXP(50);
+        const profileRef = db.collection(`artifacts/${APP_ID}/public/data/user_profile`).doc(userId);
+        const publicProfileRef = db.collection(`artifacts/${APP_ID}/public/data/leaderboard`).doc(userId);
+        const marketRef = db.collection(`artifacts/${APP_ID}/public/data/standard_markets`).doc();
+
+        await db.runTransaction(async (transaction) => {
+            const profileSnap = await transaction.get(profileRef);
+            if (!profileSnap.exists) throw createHttpError(404, 'User profile not found');
+
+            const currentBalance = profileSnap.data()[balanceField] || 0;
+            if (liquidityAmount > currentBalance) {
+                throw createHttpError(400, `Insufficient ${liquidityAsset} balance. You need ${liquidityAmount}.`);
+            }
+
+            const now = admin.firestore.FieldValue.serverTimestamp();
+            transaction.set(marketRef, {
+                ...market,
+                id: marketRef.id,
+                createdAt: now,
+                lastAccrualAt: now,
+                createdBy: userId,
+                createdByDisplayName: profileSnap.data().displayName || null
+            });
+            transaction.update(profileRef, {
+                [balanceField]: admin.firestore.FieldValue.increment(-liquidityAmount),
+                xp: admin.firestore.FieldValue.increment(xpToAward)
+            });
+            transaction.set(publicProfileRef, {
+                xp: admin.firestore.FieldValue.increment(xpToAward)
+            }, { merge: true });
+
+            recordTransfer(transaction, db, APP_ID, {
+                from: userAccount(userId),
+                to: marketAccount(marketRef.id),
+                field: balanceField,
+                amount: liquidityAmount,
+                reason: LEDGER_REASONS.LIQUIDITY,
+                refId: marketRef.id
+            });
+            recordTransfer(transaction, db, APP_ID, {
+                from: SYSTEM_ACCOUNTS.REWARDS,
+                to: userAccount(userId),
+                field: 'xp',
+                amount: xpToAward,
+                reason: LEDGER_REASONS.LIQUIDITY,
+                refId: marketRef.id
+            });
+        });
+
+        console.log(`🏗️ Market created: ${userId} seeded "${market.title}" with ${liquidityAmount} ${liquidityAsset}`);
+        res.status(200).json({ success: true, marketId: marketRef.id, balanceField, xpAwarded: xpToAward });
+    } catch (error) {
+        if (!error.status) console.error('Error creating market:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.post('/api/markets/:id/stake', requireAuth, requireFirebase, async (req, res) => {
+    const marketId = req.params.id;
+    const { pick, amount, shares, asset = 'BUSD' } = req.body;
+
+    try {
+        const stake = await placeStake(req.user.uid, marketId, { pick, amount, shares, asset });
+        res.status(200).json(stake);
+
+        // A stake moves the odds, which may trigger resting limit orders
+        matchLimitOrders(marketId).catch(error => console.error('📈 LIMIT: Matching after stake failed:', error.message));
+    } catch (error) {
+        if (!error.status) console.error('Error placing stake:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// LMSR quote: cost of buying ?shares=N of ?outcome= (or how many shares ?amount= USD buys)
+app.get('/api/markets/:id/quote', requireFirebase, async (req, res) => {
+    const { outcome } = req.query;
+    const shares = req.query.shares !== undefined ? parseFloat(req.query.shares) : null;
+    const budgetUsd = req.query.amount !== undefined ? parseFloat(req.query.amount) : null;
+
+    if (!outcome) {
+        return res.status(400).json({ error: 'outcome required' });
+    }
+    if (shares === null && budgetUsd === null) {
+        return res.status(400).json({ error: 'shares or amount required' });
+    }
+    if ((shares !== null && (!Number.isFinite(shares) || shares <= 0 || shares > LMSR_CONFIG.maxSharesPerTrade)) ||
+        (budgetUsd !== null && (!Number.isFinite(budgetUsd) || budgetUsd <= 0))) {
+        return res.status(400).json({ error: 'Invalid shares or amount' });
+    }
+
+    try {
+        const marketRef = await findMarketRef(req.params.id);
+        if (!marketRef) {
+            return res.status(404).json({ error: 'Market not found' });
+        }
+
+        const marketData = (await marketRef.get()).data();
+        if (!isLmsrMarket(marketData)) {
+            return res.status(400).json({ error: 'Quotes are only available on LMSR markets' });
+        }
+        if (!getMarketOutcomes(marketData).includes(outcome)) {
+            return res.status(400).json({ error: 'Invalid outcome' });
+        }
+
+        const quoteShares = shares ?? lmsrSharesForCost(marketData, outcome, budgetUsd);
+        const quote = lmsrQuote(marketData, outcome, quoteShares);
+
+        res.status(200).json({
+            marketId: req.params.id,
+            liquidity: marketData.lmsrLiquidity || LMSR_CONFIG.defaultLiquidity,
+            prices: lmsrPrices(marketData),
+            ...quote,
+            maxPayout: quote.shares
+        });
+    } catch (error) {
+        console.error('Error quoting LMSR trade:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// OHLC odds history: ?interval=15m|1h|1d (default 1h), optional ?from= / ?to= ISO timestamps
+app.get('/api/markets/:id/history', requireFirebase, async (req, res) => {
+    const interval = req.query.interval || PRICE_HISTORY_CONFIG.defaultInterval;
+    const intervalMs = parseInterval(interval);
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+
+    if (!intervalMs) {
+        return res.status(400).json({ error: 'Invalid interval. Use e.g. 15m, 1h or 1d.' });
+    }
+    if ((from && isNaN(from)) || isNaN(to)) {
+        return res.status(400).json({ error: 'Invalid from/to timestamp' });
+    }
+
+    try {
+        const marketRef = await findMarketRef(req.params.id);
+        if (!marketRef) {
+            return res.status(404).json({ error: 'Market not found' });
+        }
+
+        const marketData = (await marketRef.get()).data();
+        const history = await getPriceHistory(marketRef, { intervalMs, from, to });
+
+        res.status(200).json({
+            marketId: req.params.id,
+            interval,
+            outcomes: Object.keys(computeMarketOdds(marketData)),
+            current: computeMarketOdds(marketData),
+            ...history
+        });
+    } catch (error) {
+        console.error('Error loading price history:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Public shape of a market's dispute: rounds, bonds and verdicts without juror identities
+function formatDispute(dispute) {
+    if (!dispute) return null;
+    const iso = (value) => toDateValue(value)?.toISOString() || null;
+    return {
+        status: dispute.status,
+        currentRound: dispute.currentRound,
+        appealDeadline: iso(dispute.appealDeadline),
+        rounds: (dispute.rounds || []).map(round => ({
+            round: round.round,
+            bond: round.bond,
+            outcomeBefore: round.outcomeBefore || null,
+            size: round.size,
+            quorum: round.quorum,
+            status: round.status,
+            verdict: round.verdict || null,
+            tally: round.tally || null,
+            bondResult: round.bondResult || null,
+            reward: round.reward || 0,
+            openedAt: iso(round.openedAt),
+            deadline: iso(round.deadline),
+            closedAt: iso(round.closedAt)
+        }))
+    };
+}
+
+// Public shape of one resolutionEvidence document (swarm pass, second pass or price feed)
+function formatResolutionEvidence(doc) {
+    const data = doc.data();
+    const resolution = data.resolution || {};
+    const kind = doc.id === 'price-feed' ? 'price-feed'
+        : doc.id === 'swarm-verify-second-pass' ? 'second-pass'
+        : 'swarm';
+    return {
+        id: doc.id,
+        kind,
+        initiatedBy: data.initiatedBy || 'oracle',
+        timestamp: toDateValue(data.timestamp)?.toISOString() || resolution.timestamp || null,
+        outcome: resolution.outcome || null,
+        confidence: resolution.confidence ?? null,
+        path: resolution.path || (resolution.isSecondPass ? 'second-pass' : null),
+        rationale: resolution.rationale || '',
+        sources: resolution.sources || [],
+        agents: (resolution.agents || []).map(agent => ({
+            agent: agent.agent,
+            outcome: agent.outcome,
+            confidence: agent.confidence,
+            rawConfidence: agent.rawConfidence ?? agent.confidence,
+            weight: agent.weight ?? 1,
+            rationale: agent.rationale || '',
+            sources: agent.sources || [],
+            error: agent.error || null
+        })),
+        votes: resolution.agentVotes || null,
+        weightedVotes: resolution.weightedVotes || null,
+        scoring: resolution.scoringDetails && Object.keys(resolution.scoringDetails).length > 0
+            ? {
+                scores: resolution.scoringDetails,
+                weights: SWARM_CONFIG.SCORING_WEIGHTS,
+                consensusConfidence: resolution.consensusConfidence ?? null,
+                finalConfidence: resolution.confidence ?? null
+            }
+            : null,
+        firstPassConfidence: resolution.firstPassConfidence ?? null,
+        observation: resolution.observation || null,
+        spec: resolution.spec || null
+    };
+}
+
+// Oracle evidence behind a market's outcome so stakers can judge whether to dispute
+app.get('/api/markets/:id/resolution', requireFirebase, async (req, res) => {
+    try {
+        const marketRef = await findMarketRef(req.params.id);
+        if (!marketRef) {
+            return res.status(404).json({ error: 'Market not found' });
+        }
+
+        const [marketSnap, evidenceSnap, dispute] = await Promise.all([
+            marketRef.get(),
+            marketRef.collection('resolutionEvidence').get(),
+            getDispute(db, APP_ID, marketRef.id)
+        ]);
+        const market = marketSnap.data();
+        const evidence = evidenceSnap.docs
+            .map(formatResolutionEvidence)
+            .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+
+        res.status(200).json({
+            marketId: req.params.id,
+            status: market.status || null,
+            isResolved: !!market.isResolved,
+            winningOutcome: market.winningOutcome || null,
+            resolutionMethod: market.resolutionMethod || null,
+            resolvedAt: toDateValue(market.resolvedAt)?.toISOString() || null,
+            settlementStatus: market.settlementStatus || (market.isSettled ? 'settled' : null),
+            disputeWindowEndsAt: toDateValue(market.disputeWindowEndsAt)?.toISOString() || null,
+            juryVotes: market.juroVotesSummary || null,
+            resolutionCriteria: market.resolutionCriteria || null,
+            resolutionSources: market.resolutionSources || [],
+            edgeCaseRule: market.edgeCaseRule || null,
+            dispute: formatDispute(dispute),
+            evidence
+        });
+    } catch (error) {
+        console.error('Error loading resolution evidence:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Load a pledge and its market and check the position can still be closed early
+async function loadCashOutPosition(pledgeId, userId, reader = null) {
+    const get = (ref) => reader ? reader.get(ref) : ref.get();
+
+    const pledgeRef = db.collection(`artifacts/${APP_ID}/public/data/pledges`).doc(pledgeId);
+    const pledgeSnap = await get(pledgeRef);
+    if (!pledgeSnap.exists) throw createHttpError(404, 'Pledge not found');
+
+    const pledge = pledgeSnap.data();
+    if (pledge.userId !== userId) throw createHttpError(403, 'Not your pledge');
+    if (pledge.isResolved) throw createHttpError(400, 'Pledge is already settled');
+
+    let marketSnap = await get(db.collection(`artifacts/${APP_ID}/public/data/standard_markets`).doc(pledge.marketId));
+    if (!marketSnap.exists) {
+        marketSnap = await get(db.collection(`artifacts/${APP_ID}/public/data/quick_play_markets`).doc(pledge.marketId));
+    }
+    if (!marketSnap.exists) throw createHttpError(404, 'Market not found');
+
+    const marketData = marketSnap.data();
+    if (marketData.isResolved || (marketData.status && marketData.status !== 'active')) {
+        throw createHttpError(400, 'Market is closed');
+    }
+    const stakingClosesAt = getStakingClosesAt(marketData);
+    if (stakingClosesAt && stakingClosesAt <= new Date()) {
+        throw createHttpError(400, 'Cash-out closed with staking for this market');
+    }
+    if (marketData.isNoLoss) {
+        throw createHttpError(400, 'Cash-out is not available on no-loss markets');
+    }
+
+    return { pledgeRef, pledge, marketRef: marketSnap.ref, marketData };
+}
+
+// Parse the requested close amount (pledge asset units); defaults to the whole pledge
+function parseCashOutAmount(rawAmount, pledge) {
+    if (rawAmount === undefined || rawAmount === null || rawAmount === '') return pledge.amount;
+    const amount = parseFloat(rawAmount);
+    if (!Number.isFinite(amount) || amount <= 0 || amount > pledge.amount) {
+        throw createHttpError(400, `Invalid cash-out amount. Must be between 0 and ${pledge.amount}.`);
+    }
+    return amount;
+}
+
+// Quote closing all (or ?amount= part) of a pledge before the staking deadline
+app.get('/api/pledges/:id/cash-out', requireAuth, requireFirebase, async (req, res) => {
+    try {
+        const { pledge, marketData } = await loadCashOutPosition(req.params.id, req.user.uid);
+        const amount = parseCashOutAmount(req.query.amount, pledge);
+        const quote = quoteCashOut(pledge, marketData, amount);
+
+        res.status(200).json({
+            pledgeId: req.params.id,
+            asset: pledge.asset,
+            proceeds: quote.proceedsUsd / getMockPrice(pledge.asset),
+            ...quote
+        });
+    } catch (error) {
+        if (!error.status) console.error('Error quoting cash-out:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Close all or part of a pledge: pays the quote (minus exit fee) and takes the closed
+// stake out of the market pool so remaining stakers' odds reflect the exit.
+app.post('/api/pledges/:id/cash-out', requireAuth, requireFirebase, async (req, res) => {
+    const pledgeId = req.params.id;
+    const userId = req.user.uid;
+
+    try {
+        const result = await db.runTransaction(async (transaction) => {
+            // Reads
+            const { pledgeRef, pledge, marketRef, marketData } = await loadCashOutPosition(pledgeId, userId, transaction);
+            const profileRef = db.collection(`artifacts/${APP_ID}/public/data/user_profile`).doc(userId);
+            const profileSnap = await transaction.get(profileRef);
+            if (!profileSnap.exists) throw createHttpError(404, 'User profile not found');
+
+            const amount = parseCashOutAmount(req.body.amount, pledge);
+            const quote = quoteCashOut(pledge, marketData, amount);
+            const pick = pledge.optionLabel || pledge.pick;
+            const balanceField = getBalanceField(pledge.asset);
+            const assetPrice = getMockPrice(pledge.asset);
+            const proceeds = quote.proceedsUsd / assetPrice;
+
+            // Take the closed stake out of the pool
+            const marketUpdates = {};
+            const isMultiOption = marketData.marketStructure === 'multi-option' || marketData.marketType === 'multi';
+            if (quote.lmsrSale) {
+                marketUpdates.lmsrShares = quote.lmsrSale.sharesAfter;
+                marketUpdates.lmsrCollectedUsd = admin.firestore.FieldValue.increment(-quote.grossUsd);
+                if (!isMultiOption) {
+                    marketUpdates.yesPercent = quote.lmsrSale.pricesAfter.YES * 100;
+                    marketUpdates.noPercent = quote.lmsrSale.pricesAfter.NO * 100;
+                }
+            } else if (isMultiOption) {
+                const optionAmounts = { ...(marketData.optionAmounts || {}) };
+                optionAmounts[pick] = Math.max(0, (optionAmounts[pick] || 0) - quote.closedStakeUsd);
+                marketUpdates.optionAmounts = optionAmounts;
+                marketUpdates.totalPool = Object.values(optionAmounts).reduce((sum, amt) => sum + amt, 0);
+            } else {
+                let totalYesStake = marketData.totalYesStake || marketData.yesPool || 0;
+                let totalNoStake = marketData.totalNoStake || marketData.noPool || 0;
+                if (pick === 'YES') totalYesStake = Math.max(0, totalYesStake - quote.closedStakeUsd);
+                else totalNoStake = Math.max(0, totalNoStake - quote.closedStakeUsd);
+
+                const odds = computeMarketOdds({ totalYesStake, totalNoStake });
+                Object.assign(marketUpdates, {
+                    totalYesStake,
+                    totalNoStake,
+                    yesPool: totalYesStake,
+                    noPool: totalNoStake,
+                    totalPool: totalYesStake + totalNoStake,
+                    yesPercent: odds.YES,
+                    noPercent: odds.NO
+                });
+            }
+
+            // Writes
+            transaction.update(marketRef, marketUpdates);
+
+            recordPriceSnapshot(transaction, marketRef, {
+                event: 'cash-out',
+                oddsBefore: computeMarketOdds(marketData),
+                odds: computeMarketOdds({ ...marketData, ...marketUpdates }),
+                totalPool: quote.lmsrSale
+                    ? (marketData.lmsrCollectedUsd || 0) - quote.grossUsd
+                    : marketUpdates.totalPool,
+                volume: marketData.totalStakeVolume || 0,
+                tradeUsd: quote.grossUsd
+            });
+
+            const now = new Date();
+            const cashOutRecord = {
+                amount,
+                closedStakeUsd: quote.closedStakeUsd,
+                proceedsUsd: quote.proceedsUsd,
+                feeUsd: quote.feeUsd,
+                price: quote.currentPrice,
+                at: now
+            };
+            if (quote.isFullClose) {
+                transaction.update(pledgeRef, {
+                    isResolved: true,
+                    isWinner: null,
+                    cashedOut: true,
+                    payout: (pledge.cashedOutUsd || 0) + quote.proceedsUsd,
+                    cashedOutUsd: admin.firestore.FieldValue.increment(quote.proceedsUsd),
+                    cashedOutStakeUsd: admin.firestore.FieldValue.increment(quote.closedStakeUsd),
+                    status: 'cashed_out',
+                    resolvedAt: now,
+                    cashOuts: admin.firestore.FieldValue.arrayUnion(cashOutRecord)
+                });
+            } else {
+                const remainingFraction = (pledge.amount - amount) / pledge.amount;
+                transaction.update(pledgeRef, {
+                    amount: pledge.amount - amount,
+                    amountUsd: (pledge.amountUsd || pledge.amount) - quote.closedStakeUsd,
+                    potentialReturn: (pledge.potentialReturn || 0) * remainingFraction,
+                    ...(pledge.shares ? { shares: pledge.shares * remainingFraction } : {}),
+                    entryPrice: quote.entryPrice,
+                    cashedOutUsd: admin.firestore.FieldValue.increment(quote.proceedsUsd),
+                    cashedOutStakeUsd: admin.firestore.FieldValue.increment(quote.closedStakeUsd),
+                    cashOuts: admin.firestore.FieldValue.arrayUnion(cashOutRecord)
+                });
+            }
+
+            transaction.update(profileRef, {
+                [balanceField]: admin.firestore.FieldValue.increment(proceeds)
+            });
+
+            recordTransfer(transaction, db, APP_ID, {
+                from: marketAccount(pledge.marketId),
+                to: userAccount(userId),
+                field: balanceField,
+                amount: proceeds,
+                reason: LEDGER_REASONS.PAYOUT,
+                refId: pledgeId,
+                memo: 'cash-out'
+            });
+            recordTransfer(transaction, db, APP_ID, {
+                from: marketAccount(pledge.marketId),
+                to: SYSTEM_ACCOUNTS.HOUSE,
+                field: balanceField,
+                amount: quote.feeUsd / assetPrice,
+                reason: LEDGER_REASONS.FEE,
+                refId: pledgeId,
+                memo: 'cash-out exit fee'
+            });
+
+            return {
+                ...quote,
+                asset: pledge.asset,
+                balanceField,
+                proceeds,
+                remainingAmount: quote.isFullClose ? 0 : pledge.amount - amount,
+                newBalance: (profileSnap.data()[balanceField] || 0) + proceeds
+            };
+        });
+
+        console.log(`💸 Cash-out: ${userId} closed ${result.amount} ${result.asset} of pledge ${pledgeId} for $${result.proceedsUsd.toFixed(2)}`);
+        res.status(200).json({ success: true, pledgeId, ...result });
+
+    } catch (error) {
+        if (!error.status) console.error('Error cashing out pledge:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// =============================================================================
+// LIMIT ORDERS
+// =============================================================================
+// A limit order rests until its pick's odds drop to triggerPercent or below, then
+// executes through placeStake (which re-checks the odds inside its transaction).
+
+function limitOrdersCollection() {
+    return db.collection(`artifacts/${APP_ID}/public/data/limit_orders`);
+}
+
+// Why a market can no longer fill orders, or null if it's still open for staking
+function getMarketClosedReason(marketData) {
+    if (!marketData) return 'Market not found';
+    if (marketData.isResolved || (marketData.status && marketData.status !== 'active')) return 'Market is closed';
+    const stakingClosesAt = getStakingClosesAt(marketData);
+    if (stakingClosesAt && stakingClosesAt <= new Date()) return 'Staking has closed for this market';
+    return null;
+}
+
+// Move an order out of `open`; returns false if another matcher already took it
+async function claimLimitOrder(orderRef) {
+    return db.runTransaction(async (transaction) => {
+        const orderSnap = await transaction.get(orderRef);
+        if (!orderSnap.exists || orderSnap.data().status !== 'open') return false;
+        transaction.update(orderRef, { status: 'executing', executingAt: new Date() });
+        return true;
+    });
+}
+
+async function closeLimitOrder(orderDoc, status, reason) {
+    const order = orderDoc.data();
+    await orderDoc.ref.update({ status, closedReason: reason, closedAt: new Date() });
+    await notifyUser(order.userId, {
+        type: 'limit_order_closed',
+        marketId: order.marketId,
+        marketTitle: order.marketTitle,
+        orderId: orderDoc.id,
+        message: `Limit order ${status}: ${order.amount} ${order.asset} on ${order.pick} ≤ ${order.triggerPercent}% in "${order.marketTitle}" - ${reason}`,
+        actionUrl: `screen:market-detail:${order.marketId}`
+    });
+}
+
+// --- Limit Order Matching (cron sweep, after stakes and after new orders) ---
+async function matchLimitOrders(marketId = null, job = createJobContext()) {
+    if (!db) {
+        console.warn("⚠️ Database not initialized, skipping limit order matching");
+        return;
+    }
+
+    let query = limitOrdersCollection().where('status', '==', 'open');
+    if (marketId) query = query.where('marketId', '==', marketId);
+
+    let snapshot;
+    try {
+        snapshot = await query.get();
+    } catch (error) {
+        console.error("📈 LIMIT: Failed to load open orders:", error.message);
+        return;
+    }
+    if (snapshot.empty) return;
+
+    // Group by market, oldest orders first
+    const ordersByMarket = new Map();
+    snapshot.docs
+        .sort((a, b) => (a.data().createdAt?.toMillis?.() || 0) - (b.data().createdAt?.toMillis?.() || 0))
+        .forEach(doc => {
+            const id = doc.data().marketId;
+            if (!ordersByMarket.has(id)) ordersByMarket.set(id, []);
+            ordersByMarket.get(id).push(doc);
+        });
+
+    let filledCount = 0;
+    for (const [orderMarketId, orderDocs] of ordersByMarket) {
+        const marketRef = await findMarketRef(orderMarketId);
+
+        for (const orderDoc of orderDocs) {
+            const order = orderDoc.data();
+            try {
+                // Re-read each time - every fill moves the odds
+                const marketData = marketRef ? (await marketRef.get()).data() : null;
+                const closedReason = getMarketClosedReason(marketData);
+                if (closedReason) {
+                    await closeLimitOrder(orderDoc, 'cancelled', closedReason);
+                    continue;
+                }
+
+                if (getCurrentPickPercent(marketData, order.pick) > order.triggerPercent) continue;
+                if (!(await claimLimitOrder(orderDoc.ref))) continue;
+
+                let stake;
+                try {
+                    stake = await placeStake(order.userId, orderMarketId, {
+                        pick: order.pick,
+                        amount: order.amount,
+                        asset: order.asset,
+                        maxPickPercent: order.triggerPercent
+                    });
+                } catch (stakeError) {
+                    if (stakeError.status && stakeError.status !== 409) {
+                        await closeLimitOrder(orderDoc, 'failed', stakeError.message);
+                        continue;
+                    }
+                    // Odds moved back above the trigger (409), or a transient failure that
+                    // is retried next run - the stake didn't commit, so the order reopens
+                    await orderDoc.ref.update({ status: 'open' });
+                    if (stakeError.status === 409) continue;
+                    throw stakeError;
+                }
+
+                const fillPercent = stake.odds?.[order.pick] ?? null;
+                await orderDoc.ref.update({
+                    status: 'filled',
+                    filledAt: new Date(),
+                    pledgeId: stake.pledgeId,
+                    txHash: stake.txHash
+                });
+                await notifyUser(order.userId, {
+                    type: 'limit_order_filled',
+                    marketId: orderMarketId,
+                    marketTitle: order.marketTitle,
+                    orderId: orderDoc.id,
+                    pledgeId: stake.pledgeId,
+                    message: `Limit order filled: ${order.amount} ${order.asset} on ${order.pick} in "${order.marketTitle}"${fillPercent !== null ? ` (now ${fillPercent.toFixed(1)}%)` : ''}`,
+                    actionUrl: `screen:market-detail:${orderMarketId}`
+                });
+                filledCount++;
+                job.touch(orderMarketId);
+                console.log(`📈 LIMIT: Filled order ${orderDoc.id} (${order.pick} ≤ ${order.triggerPercent}%) on ${orderMarketId}`);
+            } catch (error) {
+                console.error(`📈 LIMIT: Failed to match order ${orderDoc.id}:`, error.message);
+                job.recordError(orderDoc.id, error);
+            }
+        }
+    }
+
+    if (filledCount > 0) console.log(`📈 LIMIT: Filled ${filledCount} limit orders`);
+}
+
+// Place a limit order: stake `amount` on `pick` once its odds are at or below triggerPercent
+app.post('/api/markets/:id/orders', requireAuth, requireFirebase, async (req, res) => {
+    const marketId = req.params.id;
+    const { pick, asset = 'BUSD' } = req.body;
+    const amount = parseFloat(req.body.amount);
+    const triggerPercent = parseFloat(req.body.triggerPercent);
+    const userId = req.user.uid;
+
+    if (pick !== 'YES' && pick !== 'NO') {
+        return res.status(400).json({ error: 'pick must be YES or NO' });
+    }
+    if (!SUPPORTED_ASSETS.includes(asset)) {
+        return res.status(400).json({ error: `asset must be one of ${SUPPORTED_ASSETS.join(', ')}` });
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+        return res.status(400).json({ error: 'Invalid order amount' });
+    }
+    if (!Number.isFinite(triggerPercent) || triggerPercent <= 0 || triggerPercent >= 100) {
+        return res.status(400).json({ error: 'triggerPercent must be between 0 and 100' });
+    }
+
+    try {
+        const marketRef = await findMarketRef(marketId);
+        if (!marketRef) {
+            return res.status(404).json({ error: 'Market not found' });
+        }
+
+        const marketData = (await marketRef.get()).data();
+        if (marketData.marketStructure === 'multi-option' || marketData.marketType === 'multi') {
+            return res.status(400).json({ error: 'Limit orders are only available on binary markets' });
+        }
+        const closedReason = getMarketClosedReason(marketData);
+        if (closedReason) {
+            return res.status(400).json({ error: closedReason });
+        }
+
+        const order = {
+            marketId,
+            marketTitle: marketData.title || '',
+            userId,
+            pick,
+            amount,
+            asset,
+            triggerPercent,
+            status: 'open',
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+        const orderRef = await limitOrdersCollection().add(order);
+
+        console.log(`📈 LIMIT: ${userId} placed order ${orderRef.id}: ${amount} ${asset} on ${pick} ≤ ${triggerPercent}% (${marketId})`);
+        res.status(200).json({
+            success: true,
+            orderId: orderRef.id,
+            currentPercent: getCurrentPickPercent(marketData, pick),
+            order: { ...order, createdAt: new Date().toISOString() }
+        });
+
+        // Fill straight away if the odds are already through the trigger
+        matchLimitOrders(marketId).catch(error => console.error('📈 LIMIT: Matching new order failed:', error.message));
+    } catch (error) {
+        console.error('Error placing limit order:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// The caller's orders on a market plus the open book (aggregated, no user ids)
+app.get('/api/markets/:id/orders', requireAuth, requireFirebase, async (req, res) => {
+    const marketId = req.params.id;
+    const userId = req.user.uid;
+
+    try {
+        const snapshot = await limitOrdersCollection().where('marketId', '==', marketId).get();
+
+        const orders = [];
+        const levels = new Map();
+        snapshot.forEach(doc => {
+            const order = doc.data();
+            if (order.userId === userId) {
+                orders.push({
+                    id: doc.id,
+                    ...order,
+                    createdAt: order.createdAt?.toDate?.()?.toISOString() || order.createdAt
+                });
+            }
+            if (order.status === 'open') {
+                const key = `${order.pick}:${order.triggerPercent}`;
+                const level = levels.get(key) || { pick: order.pick, triggerPercent: order.triggerPercent, orders: 0, totalAmountUsd: 0 };
+                level.orders++;
+                level.totalAmountUsd += order.amount * getMockPrice(order.asset);
+                levels.set(key, level);
+            }
+        });
+
+        const book = [...levels.values()].sort((a, b) => a.pick.localeCompare(b.pick) || b.triggerPercent - a.triggerPercent);
+        orders.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+
+        res.status(200).json({ orders, book });
+    } catch (error) {
+        console.error('Error listing limit orders:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/markets/:id/orders/:orderId', requireAuth, requireFirebase, async (req, res) => {
+    const { orderId } = req.params;
+    const userId = req.user.uid;
+
+    try {
+        const orderRef = limitOrdersCollection().doc(orderId);
+        const cancelled = await db.runTransaction(async (transaction) => {
+            const orderSnap = await transaction.get(orderRef);
+            if (!orderSnap.exists || orderSnap.data().marketId !== req.params.id) {
+                throw createHttpError(404, 'Order not found');
+            }
+            if (orderSnap.data().userId !== userId) {
+                throw createHttpError(403, 'Not your order');
+            }
+            if (orderSnap.data().status !== 'open') {
+                return false;
+            }
+            transaction.update(orderRef, { status: 'cancelled', closedReason: 'Cancelled by user', closedAt: new Date() });
+            return true;
+        });
+
+        if (!cancelled) {
+            return res.status(409).json({ error: 'Order is no longer open' });
+        }
+        res.status(200).json({ success: true, orderId });
+    } catch (error) {
+        if (!error.status) console.error('Error cancelling limit order:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// =============================================================================
+// LEDGER & FAUCET ENDPOINTS
+// =============================================================================
+
+// Faucet amounts per asset (testnet tokens)
+const FAUCET_AMOUNTS = { BUSD: 100, BNB: 0.1, CAKE: 50 };
+
+app.post('/api/faucet/claim', requireAuth, requireFirebase, async (req, res) => {
+    const { asset } = req.body;
+    const userId = req.user.uid;
+    const amount = FAUCET_AMOUNTS[asset];
+
+    if (!amount) {
+        return res.status(400).json({ error: 'Invalid faucet asset' });
+    }
+
+    try {
+        const balanceField = getBalanceField(asset);
+        const profileRef = db.collection(`artifacts/${APP_ID}/public/data/user_profile`).doc(userId);
+
+        const newBalance = await db.runTransaction(async (transaction) => {
+            const profileSnap = await transaction.get(profileRef);
+            if (!profileSnap.exists) throw createHttpError(404, 'User profile not found');
+
+            transaction.update(profileRef, {
+                [balanceField]: admin.firestore.FieldValue.increment(amount)
+            });
+            recordTransfer(transaction, db, APP_ID, {
+                from: SYSTEM_ACCOUNTS.FAUCET,
+                to: userAccount(userId),
+                field: balanceField,
+                amount,
+                reason: LEDGER_REASONS.FAUCET
+            });
+
+            return (profileSnap.data()[balanceField] || 0) + amount;
+        });
+
+        res.status(200).json({ success: true, asset, amount, balanceField, newBalance });
+    } catch (error) {
+        if (!error.status) console.error('Error claiming faucet tokens:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Minimum XP stake on a quick poll vote
+const MIN_POLL_XP_STAKE = 10;
+
+// Vote on a quick poll: the staked XP moves from the voter into the poll's pot,
+// which autoResolveQuickPolls pays out to the winning side.
+app.post('/api/polls/:id/vote', requireAuth, requireFirebase, async (req, res) => {
+    const pollId = req.params.id;
+    const userId = req.user.uid;
+    const { vote } = req.body;
+    const xpStaked = parseInt(req.body.xpStaked);
+
+    if (vote !== 'YES' && vote !== 'NO') {
+        return res.status(400).json({ error: 'Vote must be YES or NO' });
+    }
+    if (!Number.isInteger(xpStaked) || xpStaked < MIN_POLL_XP_STAKE) {
+        return res.status(400).json({ error: `Minimum stake is ${MIN_POLL_XP_STAKE} XP` });
+    }
+
+    try {
+        const pollRef = db.collection(`artifacts/${APP_ID}/public/data/quick_polls`).doc(pollId);
+        const profileRef = db.collection(`artifacts/${APP_ID}/public/data/user_profile`).doc(userId);
+        const publicProfileRef = db.collection(`artifacts/${APP_ID}/public/data/leaderboard`).doc(userId);
+
+        const newXp = await db.runTransaction(async (transaction) => {
+            const [pollSnap, profileSnap] = await Promise.all([transaction.get(pollRef), transaction.get(profileRef)]);
+            if (!pollSnap.exists) throw createHttpError(404, 'Poll not found');
+            if (!profileSnap.exists) throw createHttpError(404, 'User profile not found');
+
+            const poll = pollSnap.data();
+            if (poll.isResolved) throw createHttpError(400, 'Poll is closed');
+            if (poll.voters?.[userId]) throw createHttpError(409, "You've already voted on this poll");
+            const currentXp = profileSnap.data().xp || 0;
+            if (xpStaked > currentXp) throw createHttpError(400, `You only have ${currentXp} XP`);
+
+            transaction.update(pollRef, {
+                [`voters.${userId}`]: { vote, xpStaked, timestamp: new Date().toISOString() },
+                [vote === 'YES' ? 'yesVotes' : 'noVotes']: admin.firestore.FieldValue.increment(1),
+                [vote === 'YES' ? 'xpStakedYES' : 'xpStakedNO']: admin.firestore.FieldValue.increment(xpStaked)
+            });
+            transaction.update(profileRef, { xp: admin.firestore.FieldValue.increment(-xpStaked) });
+            transaction.set(publicProfileRef, { xp: admin.firestore.FieldValue.increment(-xpStaked) }, { merge: true });
+
+            recordTransfer(transaction, db, APP_ID, {
+                from: userAccount(userId),
+                to: pollAccount(pollId),
+                field: 'xp',
+                amount: xpStaked,
+                reason: LEDGER_REASONS.STAKE,
+                refId: pollId
+            });
+
+            return currentXp - xpStaked;
+        });
+
+        res.status(200).json({ success: true, pollId, vote, xpStaked, newXp });
+    } catch (error) {
+        if (!error.status) console.error('Error voting on poll:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Paginated balance/XP history for the signed-in user (?limit=25&cursor=<entryId>)
+app.get('/api/me/ledger', requireAuth, requireFirebase, async (req, res) => {
+    const userId = req.user.uid;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), 100);
+
+    try {
+        const page = await getUserLedger(db, APP_ID, userId, { limit, cursor: req.query.cursor || null });
+        res.status(200).json(page);
+    } catch (error) {
+        console.error('Error fetching ledger:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
+// --- Ledger Reconciliation Job ---
+async function runLedgerReconciliation() {
+    console.log("📒 LEDGER: Running balance reconciliation...");
+
+    if (!db) {
+        console.warn("⚠️ Database not initialized, skipping ledger reconciliation");
+        return null;
+    }
+
+    try {
+        const report = await reconcileBalances(db, APP_ID);
+        if (report.driftCount > 0) {
+            console.warn(`⚠️ LEDGER: ${report.driftCount} balance drift(s) found across ${report.profilesChecked} profiles (report ${report.id})`);
+        } else {
+            console.log(`✅ LEDGER: ${report.profilesChecked} profiles reconciled, no drift (${report.openedProfiles} opened)`);
+        }
+        return report;
+    } catch (error) {
+        console.error("📒 LEDGER: Reconciliation failed:", error.message);
+        return null;
+    }
+}
+
 // =============================================================================
 // DISPUTE & JURY SYSTEM ENDPOINTS
 // =============================================================================
 
 app.post('/api/dispute-market', requireAuth, requireFirebase, async (req, res) => {
-    const { marketId, marketTitle } = req.body;
-    
+    const { marketId, argument } = req.body;
+
     try {
-        const marketRef = db.collection(`artifacts/${APP_ID}/public/data/standard_markets`).doc(marketId);
-        const marketSnap = await marketRef.get();
-        
-        if (!marketSnap.exists) {
-            return res.status(404).json({ error: 'Market not found' });
-        }
-        
-        const marketData = marketSnap.data();
-        const now = new Date();
-        const windowEnd = new Date(marketData.disputeWindowEndsAt);
-        
-        if (now > windowEnd) {
-            return res.status(400).json({ error: 'Dispute window has closed' });
-        }
-        
-        if (marketData.status === 'disputed') {
-            return res.status(400).json({ error: 'Market already disputed' });
-        }
-        
-        await marketRef.update({
-            status: 'disputed',
-            disputedAt: now,
-            disputedBy: req.user.uid,
-            canBeDisputed: false
-        });
-        
-        const leaderboardRef = db.collection(`artifacts/${APP_ID}/public/data/public_leaderboard`);
-        const snapshot = await leaderboardRef.orderBy('xp', 'desc').limit(10).get();
-        
-        if (snapshot.empty) {
-            await marketRef.update({ status: marketData.status || null });
-            return res.status(404).json({ error: 'No leaderboard users found' });
-        }
-        
-        // Fisher-Yates shuffle algorithm (proper random selection)
-        const docs = snapshot.docs;
-        for (let i = docs.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [docs[i], docs[j]] = [docs[j], docs[i]];
-        }
-        const selected = docs.slice(0, Math.min(5, docs.length));
-        
-        const selectedJurors = [];
-        const expiryTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
-        
-        for (const doc of selected) {
-            const jurorData = doc.data();
-            const code = generateJuryCode();
-            
-            await db.collection(`artifacts/${APP_ID}/public/data/jury_codes`).doc(code).set({
-                code,
-                userId: doc.id,
-                marketId,
-                marketTitle,
-                createdAt: new Date(),
-                expiresAt: expiryTime,
-                used: false,
-                usedAt: null
-            });
-            
-            const juryLink = `${process.env.REPLIT_DEV_DOMAIN || 'http://localhost:5000'}/app.html?jury=${code}`;
-            
-            await db.collection(`artifacts/${APP_ID}/public/data/notifications`).add({
-                userId: doc.id,
-                type: 'jury_invite',
-                marketId,
-                marketTitle,
-                juryCode: code,
-                juryLink,
-                message: `You've been selected as a juror for: "${marketTitle}". Vote here: ${juryLink}`,
-                createdAt: new Date(),
-                read: false,
-                expiresAt: expiryTime
-            });
-            
-            selectedJurors.push({
-                userId: doc.id,
-                displayName: jurorData.displayName || 'Anonymous',
-                xp: jurorData.xp,
-                code
-            });
+        if (!marketId) {
+            return res.status(400).json({ error: 'marketId is required' });
         }
-        
-        console.log(`⚖️ Market ${marketId} disputed. ${selected.length} jurors selected.`);
+        const marketRef = db.collection(`artifacts/${APP_ID}/public/data/standard_markets`).doc(marketId);
+        const { round, bond, jurors, deadline, quorum } = await openJury(db, APP_ID, marketRef, { disputedBy: req.user.uid, argument });
+
+        // Jurors reveal their own codes from their invites; none go back to the disputer
         res.status(200).json({
             success: true,
-            jurors: selectedJurors,
-            message: `Market disputed! ${selected.length} jurors notified.`,
-            juryDeadline: expiryTime
+            round,
+            bond,
+            jurors: jurors.map(({ userId, displayName, xp }) => ({ userId, displayName, xp })),
+            quorum,
+            message: `${round > 1 ? 'Appeal filed' : 'Market disputed'}! ${bond} BUSD bond posted, ${jurors.length} jurors notified.`,
+            juryDeadline: deadline
         });
-        
+
     } catch (error) {
         console.error('Error disputing market:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
-app.post('/api/verify-jury-code', requireAuth, requireFirebase, async (req, res) => {
-    const { code } = req.body;
-    
+// Rate-limit jury code use per juror and per IP so codes can't be enumerated
+async function limitJuryCodeAttempts(req, res, next) {
+    const attempt = checkJuryCodeAttempt(req.user.uid, req.ip);
+    if (attempt.allowed) return next();
+
+    await logSafetyEvent(db, APP_ID, {
+        userId: req.user.uid,
+        action: 'jury_code_rate_limited',
+        path: req.path,
+        tier: 'YELLOW',
+        ip: req.ip
+    });
+    res.status(429).json({ error: attempt.reason, retryAfter: attempt.retryAfter, valid: false });
+}
+
+// Reveal a juror's one-time code from their invite - shown once, never stored in plaintext
+app.post('/api/reveal-jury-code', requireVerifiedAuth, requireFirebase, limitJuryCodeAttempts, async (req, res) => {
+    const { marketId } = req.body;
+
     try {
-        const userId = req.user.uid;
-        
-        const codeRef = db.collection(`artifacts/${APP_ID}/public/data/jury_codes`).doc(code);
-        const codeSnap = await codeRef.get();
-        
-        if (!codeSnap.exists) {
-            return res.status(404).json({ error: 'Invalid code', valid: false });
-        }
-        
-        const codeData = codeSnap.data();
-        
-        if (codeData.used) {
-            return res.status(400).json({ error: 'Code already used', valid: false });
-        }
-        
-        if (new Date(codeData.expiresAt) < new Date()) {
-            return res.status(400).json({ error: 'Code expired', valid: false });
-        }
-        
-        if (codeData.userId !== userId) {
-            return res.status(403).json({ error: 'Code not assigned to you', valid: false });
+        if (!marketId) {
+            return res.status(400).json({ error: 'marketId is required' });
         }
-        
+        const { code, juryLink, expiresAt } = await revealJuryCode(db, APP_ID, { marketId, userId: req.user.uid, ip: req.ip });
+        res.status(200).json({ success: true, code, juryLink, expiresAt });
+
+    } catch (error) {
+        console.error('Error revealing jury code:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.post('/api/verify-jury-code', requireVerifiedAuth, requireFirebase, limitJuryCodeAttempts, async (req, res) => {
+    const { code } = req.body;
+
+    try {
+        const evidencePack = await getJuryEvidencePack(db, APP_ID, { code, userId: req.user.uid, ip: req.ip });
+
         res.status(200).json({
             valid: true,
-            marketId: codeData.marketId,
-            marketTitle: codeData.marketTitle
+            marketId: evidencePack.marketId,
+            marketTitle: evidencePack.marketTitle,
+            evidencePack
         });
-        
+
     } catch (error) {
-        res.status(401).json({ error: 'Authentication failed', valid: false });
+        console.error('Error verifying jury code:', error);
+        res.status(error.status || 500).json({ error: error.message, valid: false });
     }
 });
 
-app.post('/api/submit-jury-vote', requireAuth, requireFirebase, async (req, res) => {
-    const { code, vote } = req.body;
-    const userId = req.user.uid;
-    
+app.post('/api/submit-jury-vote', requireVerifiedAuth, requireFirebase, limitJuryCodeAttempts, async (req, res) => {
+    const { code, vote, justification } = req.body;
+
     try {
-        if (!vote || (vote !== 'YES' && vote !== 'NO')) {
-            return res.status(400).json({ error: 'Invalid vote. Must be YES or NO' });
-        }
-        
-        const codeRef = db.collection(`artifacts/${APP_ID}/public/data/jury_codes`).doc(code);
-        const codeSnap = await codeRef.get();
-        
-        if (!codeSnap.exists) {
-            return res.status(404).json({ error: 'Invalid jury code' });
-        }
-        
-        const codeData = codeSnap.data();
-        
-        if (codeData.used) {
-            return res.status(400).json({ error: 'Code already used' });
-        }
-        
-        if (new Date(codeData.expiresAt) < new Date()) {
-            return res.status(400).json({ error: 'Code expired' });
-        }
-        
-        if (codeData.userId !== userId) {
-            return res.status(403).json({ error: 'Code not assigned to you' });
-        }
-        
-        const marketRef = db.collection(`artifacts/${APP_ID}/public/data/standard_markets`).doc(codeData.marketId);
-        
-        await db.collection(`artifacts/${APP_ID}/public/data/jury_votes`).add({
+        const { voteCount, tally, verdict } = await castJuryVote(db, APP_ID, {
             code,
-            userId,
-            marketId: codeData.marketId,
+            userId: req.user.uid,
             vote,
-            timestamp: new Date(),
-            jurorName: codeData.userId
+            justification,
+            ip: req.ip
         });
-        
-        await codeRef.update({ used: true, usedAt: new Date() });
-        
-        const voteSnapshot = await db.collection(`artifacts/${APP_ID}/public/data/jury_votes`)
-            .where('marketId', '==', codeData.marketId)
-            .get();
-        
-        const votes = voteSnapshot.docs.map(d => d.data().vote);
-        const yesCount = votes.filter(v => v === 'YES').length;
-        const noCount = votes.filter(v => v === 'NO').length;
-        
-        if (votes.length >= 3 || votes.length === 5) {
-            const winner = yesCount > noCount ? 'YES' : noCount > yesCount ? 'NO' : 'TIE';
-            
-            await marketRef.update({
-                status: 'resolved',
-                isResolved: true,
-                winningOutcome: winner,
-                resolutionMethod: 'jury_resolved',
-                juroVotesSummary: { YES: yesCount, NO: noCount },
-                juryResolvedAt: new Date()
-            });
-            
-            console.log(`⚖️ Market ${codeData.marketId} jury resolved: ${winner} (${yesCount} YES, ${noCount} NO)`);
-        }
-        
+
         res.status(200).json({
             success: true,
             message: 'Vote submitted successfully',
-            voteCount: votes.length,
-            voteTally: { YES: yesCount, NO: noCount }
+            voteCount,
+            voteTally: tally,
+            verdict: verdict?.verdict || null
         });
-        
+
     } catch (error) {
         console.error('Error submitting jury vote:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
@@ -2217,7 +3749,7 @@ app.post('/api/social/create-post', requireAuth, requireFirebase, async (req, re
         // Full AI moderation check with error handling (relaxed for better UX)
         let moderationResult;
         try {
-            moderationResult = await moderateContent(content, 'post', geminiClient);
+            moderationResult = await moderateContent(content, 'post', geminiClient ? oracleModelClient : null);
             
             // Log the moderation event
             await logSafetyEvent(db, APP_ID, {
@@ -2556,7 +4088,7 @@ app.post('/api/moderate-content', requireAuth, requireFirebase, async (req, res)
         }
         
         // Run full moderation pipeline
-        const result = await moderateContent(content, contentType, geminiClient);
+        const result = await moderateContent(content, contentType, geminiClient ? oracleModelClient : null);
         
         // Log the event
         await logSafetyEvent(db, APP_ID, {
@@ -2784,26 +4316,179 @@ app.post('/api/admin/resolve-market', requireAdmin, requireFirebase, async (req,
     
     const { marketId, outcome } = req.body;
     
+    if (!marketId || !outcome) {
+        return res.status(400).json({ error: 'marketId and outcome required' });
+    }
+    
     try {
-        const marketRef = db.collection(`artifacts/${APP_ID}/public/data/standard_markets`).doc(marketId);
+        const marketRef = await findMarketRef(marketId);
+        if (!marketRef) {
+            return res.status(404).json({ error: 'Market not found' });
+        }
+        const marketSnap = await marketRef.get();
         
-        await marketRef.update({
-            isResolved: true,
-            winningOutcome: outcome,
-            resolutionMethod: 'admin_manual',
-            resolvedAt: new Date(),
-            status: 'resolved'
-        });
+        if (!isValidOutcome(marketSnap.data(), outcome)) {
+            return res.status(400).json({ error: `Invalid outcome "${outcome}" for this market` });
+        }
+        
+        if (marketSnap.data().status === 'disputed') {
+            return res.status(409).json({ error: 'Market is under dispute - the jury decides its outcome' });
+        }
+        
+        // Quick plays can't be disputed, so they settle at once
+        const settle = marketRef.parent.id === 'quick_play_markets' ? settleMarket : proposeSettlement;
+        const settlement = await settle(db, APP_ID, marketRef, outcome, { resolutionMethod: 'admin_manual' });
+        
+        if (settlement.alreadySettled) {
+            return res.status(409).json({ error: `Market already settled as ${settlement.outcome}` });
+        }
         
-        console.log(`🛡️ Admin resolved market ${marketId} as ${outcome}`);
-        res.status(200).json({ success: true, message: 'Market resolved by admin' });
+        await notifyMarketStakers(marketId, marketSnap.data().title, outcome);
+        
+        console.log(`🛡️ Admin resolved market ${marketId} as ${outcome}${settlement.pending ? ' (payouts pending the dispute window)' : ''}`);
+        res.status(200).json({ success: true, message: 'Market resolved by admin', settlement });
         
     } catch (error) {
         console.error('Error in admin resolve:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Void a market and refund every pledge in its original asset
+app.post('/api/admin/void-market', requireAdmin, requireFirebase, async (req, res) => {
+    const { marketId, reason } = req.body;
+    
+    if (!marketId) {
+        return res.status(400).json({ error: 'marketId required' });
+    }
+    
+    try {
+        const marketRef = await findMarketRef(marketId);
+        
+        if (!marketRef) {
+            return res.status(404).json({ error: 'Market not found' });
+        }
+        
+        const settlement = await voidMarket(db, APP_ID, marketRef, reason || 'admin-void', { resolutionMethod: 'admin_void' });
+        
+        if (settlement.alreadySettled) {
+            return res.status(409).json({ error: `Market already settled as ${settlement.outcome}` });
+        }
+        
+        const marketSnap = await marketRef.get();
+        await notifyMarketStakers(marketId, marketSnap.data().title, VOID_OUTCOME);
+        
+        console.log(`↩️ Admin voided market ${marketId} (${settlement.refundedPledges} pledges refunded)`);
+        res.status(200).json({ success: true, message: 'Market voided and stakes refunded', settlement });
+        
+    } catch (error) {
+        console.error('Error in admin void:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Latest reconciliation reports (drifts between profile balances and the ledger)
+app.get('/api/admin/ledger/reconciliations', requireAdmin, requireFirebase, async (req, res) => {
+    try {
+        const snapshot = await db.collection(`artifacts/${APP_ID}/public/data/ledger_reconciliations`)
+            .orderBy('completedAt', 'desc')
+            .limit(10)
+            .get();
+
+        const reports = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        res.status(200).json({ reports });
+    } catch (error) {
+        console.error('Error fetching reconciliation reports:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// --- Oracle Jobs ---
+app.get('/api/admin/jobs', requireAdmin, requireFirebase, async (req, res) => {
+    try {
+        const recentRunsPerJob = Math.min(Math.max(parseInt(req.query.runs) || 5, 1), 20);
+        const [statuses, schedules] = await Promise.all([
+            getJobsStatus(db, APP_ID, ORACLE_JOBS, { recentRunsPerJob }),
+            getJobSchedules(db, APP_ID, ORACLE_JOBS)
+        ]);
+        const jobs = statuses.map(status => ({ ...status, schedule: schedules[status.name] }));
+        res.status(200).json({ jobs });
+    } catch (error) {
+        console.error('Error fetching job status:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/admin/jobs/config', requireAdmin, requireFirebase, async (req, res) => {
+    try {
+        const schedules = await getJobSchedules(db, APP_ID, ORACLE_JOBS);
+        res.status(200).json({ schedules });
+    } catch (error) {
+        console.error('Error fetching job config:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Body: { jobs: { [jobName]: { enabled?, intervalMinutes? } } }
+app.post('/api/admin/jobs/config', requireAdmin, requireFirebase, async (req, res) => {
+    const { jobs } = req.body;
+    if (!jobs || typeof jobs !== 'object' || Array.isArray(jobs)) {
+        return res.status(400).json({ error: 'jobs must be an object keyed by job name' });
+    }
+
+    try {
+        const schedules = await updateJobSchedules(db, APP_ID, ORACLE_JOBS, jobs);
+        console.log(`⚙️ ADMIN: Updated job schedules for ${Object.keys(jobs).join(', ')}`);
+        res.status(200).json({ success: true, schedules });
+    } catch (error) {
+        console.error('Error updating job config:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.post('/api/admin/jobs/:name/run', requireAdmin, requireFirebase, async (req, res) => {
+    const jobName = req.params.name;
+    if (!ORACLE_JOBS[jobName]) {
+        return res.status(404).json({ error: `Unknown job "${jobName}"` });
+    }
+
+    try {
+        const [run] = await runOracleJobs([jobName], 'manual');
+        res.status(200).json({ success: run.status !== 'failed', run });
+    } catch (error) {
+        console.error(`Error running job ${jobName}:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Swarm agents with registry settings, track-record weights and calibration
+app.get('/api/admin/oracle/agents', requireAdmin, requireFirebase, async (req, res) => {
+    try {
+        const trackRecords = await getAgentTrackRecords(db, APP_ID);
+        const agents = getRegisteredAgents().map(agent => {
+            const trackRecord = trackRecords[agent.name] || summarizeTrackRecord({ agent: agent.name });
+            return {
+                ...agent,
+                trackWeight: trackRecord.weight,
+                effectiveWeight: agent.weight * trackRecord.weight,
+                trackRecord
+            };
+        });
+        res.json({ agents, config: AGENT_TRACK_RECORD_CONFIG });
+    } catch (error) {
+        console.error('Error fetching oracle agents:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
+app.post('/api/admin/ledger/reconcile', requireAdmin, requireFirebase, async (req, res) => {
+    const report = await runLedgerReconciliation();
+    if (!report) {
+        return res.status(500).json({ error: 'Reconciliation failed' });
+    }
+    res.status(200).json({ success: true, report });
+});
+
 app.get('/api/admin/stats', requireAdmin, requireFirebase, async (req, res) => {
     
     try {
@@ -2852,7 +4537,7 @@ app.post('/api/admin/clear-all-data', requireAdmin, requireFirebase, async (req,
         const collections = [
             'standard_markets', 'quick_play_markets', 'pledges', 'leaderboard',
             'public_leaderboard', 'user_profile', 'social_posts', 'jury_codes',
-            'jury_votes', 'notifications', 'otp_codes', 'market_comments',
+            'jury_votes', 'jury_audit_log', 'disputes', 'notifications', 'otp_codes', 'market_comments',
             'stake_logs', 'safety_reports', 'flagged_content', 'safety_logs'
         ];
         
@@ -3169,7 +4854,6 @@ app.post('/api/admin/clear-expired-quickplays', requireAdmin, requireFirebase, a
             .get();
         
         let expiredCount = 0;
-        const batch = db.batch();
         
         // List of past months to clean up (markets with these months in title are expired)
         const pastMonths = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov'];
@@ -3188,21 +4872,15 @@ app.post('/api/admin/clear-expired-quickplays', requireAdmin, requireFirebase, a
             );
             
             if (isDateExpired || hasPastMonthInTitle) {
-                batch.update(doc.ref, {
-                    isResolved: true,
-                    winningOutcome: 'EXPIRED',
-                    resolvedAt: new Date(),
-                    status: 'expired'
-                });
-                expiredCount++;
-                console.log(`🗑️ Marking as expired: ${market.title}`);
+                // Void (not just expire) so any stakes on the market are refunded
+                const settlement = await voidMarket(db, APP_ID, doc.ref, 'expired', { resolutionMethod: 'admin_void' });
+                if (!settlement.alreadySettled) {
+                    expiredCount++;
+                    console.log(`🗑️ Voided expired quick play: ${market.title} (${settlement.refundedPledges} pledges refunded)`);
+                }
             }
         }
         
-        if (expiredCount > 0) {
-            await batch.commit();
-        }
-        
         console.log(`✅ Cleared ${expiredCount} expired quick play markets`);
         res.json({ 
             success: true, 
@@ -3230,10 +4908,57 @@ app.get('/api/health', (req, res) => {
     });
 });
 
+// =============================================================================
+// MIGRATION: resolvesAt TIMESTAMPS (runs once on startup)
+// =============================================================================
+// Backfills resolvesAt on markets created before it existed, using the same
+// fallback the resolvers apply (createdAt + duration, else start of resolutionDate).
+async function migrateResolvesAt(job = createJobContext()) {
+    console.log('🕒 MIGRATION: Backfilling resolvesAt on markets...');
+    let migrated = 0;
+
+    for (const collectionName of ['standard_markets', 'quick_play_markets']) {
+        try {
+            const snapshot = await db.collection(`artifacts/${APP_ID}/public/data/${collectionName}`).get();
+            let batch = db.batch();
+            let pendingWrites = 0;
+
+            for (const doc of snapshot.docs) {
+                const market = doc.data();
+                if (market.resolvesAt) continue;
+
+                const resolvesAt = getResolvesAt(market);
+                if (!resolvesAt) {
+                    job.recordError(doc.id, new Error('No resolutionDate, createdAt or duration to derive resolvesAt from'));
+                    continue;
+                }
+
+                batch.update(doc.ref, { resolvesAt, resolvesAtMigratedAt: new Date() });
+                job.touch(doc.id);
+                migrated++;
+                pendingWrites++;
+
+                if (pendingWrites >= 400) {
+                    await batch.commit();
+                    batch = db.batch();
+                    pendingWrites = 0;
+                }
+            }
+
+            if (pendingWrites > 0) await batch.commit();
+        } catch (error) {
+            console.error(`🕒 MIGRATION: Failed to backfill resolvesAt on ${collectionName}:`, error.message);
+            job.recordError(collectionName, error);
+        }
+    }
+
+    console.log(`🕒 MIGRATION: Backfilled resolvesAt on ${migrated} markets`);
+}
+
 // =============================================================================
 // CLEANUP BROKEN MARKETS (runs once on startup)
 // =============================================================================
-async function cleanupBrokenMarkets() {
+async function cleanupBrokenMarkets(job = createJobContext()) {
     console.log('🧹 Cleaning up and repairing markets with invalid liquidity...');
     try {
         // Repair standard markets with 0 or invalid pools
@@ -3245,9 +4970,6 @@ async function cleanupBrokenMarkets() {
         
         for (const doc of standardSnapshot.docs) {
             const market = doc.data();
-            const yesPool = market.yesPool ?? 0;
-            const noPool = market.noPool ?? 0;
-            const totalPool = market.totalPool ?? 0;
             
             // Fix multi-option markets that incorrectly have yesPercent/noPercent
             if (market.marketType === 'multi' && (market.yesPercent !== undefined || market.noPercent !== undefined)) {
@@ -3263,15 +4985,13 @@ async function cleanupBrokenMarkets() {
                     noPool: admin.firestore.FieldValue.delete()
                 });
                 multiOptionFixed++;
+                job.touch(doc.id);
                 console.log(`🔧 Fixed multi-option market (removed yesPercent/noPercent): ${market.title}`);
                 continue; // Skip to next market
             }
             
-            // Check if pools are invalid (0, NaN, undefined, or Infinity)
-            const hasInvalidPools = !Number.isFinite(yesPool) || !Number.isFinite(noPool) || 
-                                    !Number.isFinite(totalPool) || yesPool <= 0 || noPool <= 0 || totalPool <= 0;
-            
-            if (hasInvalidPools) {
+            // Check if pools are invalid (0, NaN, undefined, or Infinity); LMSR markets have none
+            if (needsPoolRepair(market)) {
                 // Repair by calculating actual stake totals from pledges
                 const pledgesRef = db.collection(`artifacts/${APP_ID}/public/data/pledges`);
                 const pledgeSnaps = await pledgesRef.where('marketId', '==', doc.id).get();
@@ -3289,6 +5009,7 @@ async function cleanupBrokenMarkets() {
                         totalStakeVolume: 20000
                     });
                     standardRepaired++;
+                    job.touch(doc.id);
                     console.log(`🔧 Repaired empty market: ${market.title} (ID: ${doc.id})`);
                 } else {
                     // Has stakes - recalculate totals from pledges
@@ -3327,6 +5048,7 @@ async function cleanupBrokenMarkets() {
                         totalStakeVolume: totalStaked
                     });
                     standardRepaired++;
+                    job.touch(doc.id);
                     console.log(`🔧 Repaired market from pledges: ${market.title} (YES: $${totalYesStake.toFixed(2)}, NO: $${totalNoStake.toFixed(2)})`);
                 }
             }
@@ -3340,9 +5062,6 @@ async function cleanupBrokenMarkets() {
         
         for (const doc of quickPlaySnapshot.docs) {
             const market = doc.data();
-            const yesPool = market.yesPool ?? 0;
-            const noPool = market.noPool ?? 0;
-            const totalPool = market.totalPool ?? 0;
             
             // Fix multi-option quick plays that incorrectly have yesPercent/noPercent
             if (market.marketType === 'multi' && (market.yesPercent !== undefined || market.noPercent !== undefined)) {
@@ -3357,14 +5076,12 @@ async function cleanupBrokenMarkets() {
                     noPool: admin.firestore.FieldValue.delete()
                 });
                 multiOptionFixed++;
+                job.touch(doc.id);
                 console.log(`🔧 Fixed multi-option quick play (removed yesPercent/noPercent): ${market.title}`);
                 continue; // Skip to next market
             }
             
-            const hasInvalidPools = !Number.isFinite(yesPool) || !Number.isFinite(noPool) || 
-                                    !Number.isFinite(totalPool) || yesPool <= 0 || noPool <= 0 || totalPool <= 0;
-            
-            if (hasInvalidPools) {
+            if (needsPoolRepair(market)) {
                 const pledgesRef = db.collection(`artifacts/${APP_ID}/public/data/pledges`);
                 const pledgeSnaps = await pledgesRef.where('marketId', '==', doc.id).get();
                 
@@ -3380,6 +5097,7 @@ async function cleanupBrokenMarkets() {
                         totalStakeVolume: 20000
                     });
                     quickPlayRepaired++;
+                    job.touch(doc.id);
                     console.log(`🔧 Repaired empty quick play: ${market.title} (ID: ${doc.id})`);
                 } else {
                     // Has stakes - recalculate totals from pledges
@@ -3418,6 +5136,7 @@ async function cleanupBrokenMarkets() {
                         totalStakeVolume: totalStaked
                     });
                     quickPlayRepaired++;
+                    job.touch(doc.id);
                     console.log(`🔧 Repaired quick play from pledges: ${market.title} (YES: $${totalYesStake.toFixed(2)}, NO: $${totalNoStake.toFixed(2)})`);
                 }
             }
@@ -3431,34 +5150,55 @@ async function cleanupBrokenMarkets() {
         }
     } catch (error) {
         console.warn('⚠️ Cleanup encountered an issue (non-blocking):', error.message);
+        job.recordError(null, error);
     }
 }
 
 // =============================================================================
 // AUTOMATED ORACLE CRON SCHEDULING
 // =============================================================================
-// Run oracle jobs every 5 minutes to auto-resolve markets and quick polls
-cron.schedule('*/5 * * * *', async () => {
-    console.log(`\n⏰ [ORACLE CRON] Running scheduled oracle sweep at ${new Date().toISOString()}`);
+// Check every minute which oracle jobs are due; each job's cadence and enable
+// flag come from ORACLE_JOBS defaults overlaid with the admin config document
+cron.schedule('* * * * *', async () => {
+    if (!db) return;
     try {
-        await autoResolveMarkets();
-        await autoResolveQuickPolls();
-        await autoResolveQuickPlays();
-        await createDailyMarkets();
-        await autoGenerateQuickPlays();
-        console.log('✅ [ORACLE CRON] All oracle jobs completed successfully');
+        const runs = await runDueOracleJobs('cron');
+        if (runs.length === 0) return;
+        const summary = runs.map(run => `${run.jobName}:${run.status}`).join(', ');
+        console.log(`✅ [ORACLE CRON] Ran due jobs at ${new Date().toISOString()} (${summary})`);
     } catch (error) {
         console.error('❌ [ORACLE CRON] Error running oracle jobs:', error.message);
     }
 });
 
-console.log('⏰ Oracle cron scheduler initialized (runs every 5 minutes)');
+console.log('⏰ Oracle cron scheduler initialized (checks job schedules every minute)');
 
-// Run cleanup once on startup
-cleanupBrokenMarkets();
+// Backfill resolvesAt and run cleanup once on startup
+if (db) {
+    runOracleJobs(['migrate-resolves-at', 'cleanup'], 'startup').catch(error => {
+        console.warn('⚠️ Startup cleanup failed (non-blocking):', error.message);
+    });
+}
 
 app.listen(PORT, '0.0.0.0', () => {
     console.log(`Predora Backend Server is live on port ${PORT}`);
     console.log(`🛡️ AI Guardrails: ${geminiClient ? '✅ ACTIVE' : '⚠️ DISABLED'}`);
-    console.log(`🔄 Oracle Auto-Scheduling: ✅ ACTIVE (every 5 minutes)`);
-});
\ No newline at end of file
+    logJobSchedules();
+});
+
+// Startup summary of each oracle job's effective schedule (defaults + admin overrides)
+async function logJobSchedules() {
+    if (!db) {
+        console.log('🔄 Oracle Auto-Scheduling: ⚠️ DISABLED (database not initialized)');
+        return;
+    }
+    try {
+        const schedules = await getJobSchedules(db, APP_ID, ORACLE_JOBS);
+        const summary = Object.entries(schedules)
+            .map(([name, { enabled, intervalMinutes }]) => `${name}: ${enabled ? `every ${intervalMinutes} min` : 'disabled'}`)
+            .join(', ');
+        console.log(`🔄 Oracle Auto-Scheduling: ✅ ACTIVE (${summary})`);
+    } catch (error) {
+        console.warn('⚠️ Could not load oracle job schedules:', error.message);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,297 @@
+// =============================================================================
+// JOB RUNNER - Firestore-leased oracle jobs with run history
+// =============================================================================
+//
+// The in-process cron, /api/run-jobs (cron-job.js) and admin triggers can fire
+// the same job at once, possibly from different instances. Each run first takes
+// a lease in `job_leases/{jobName}`; if another run still holds it the run is
+// recorded as skipped. Every run is written to `job_runs`.
+//
+// Each job also has a schedule (enabled flag + interval) whose defaults live in
+// the job registry and can be overridden by admins in `job_config/schedules`.
+// The scheduler tick runs whichever enabled jobs are due.
+
+import crypto from 'crypto';
+
+export const JOB_RUNNER_CONFIG = {
+    // Lease length when a job doesn't set its own; an expired lease can be taken over.
+    // Running jobs renew theirs every third of it, so it only lapses if the process dies.
+    defaultLeaseMs: 15 * 60 * 1000,
+    // Caps so one run document stays well under Firestore's size limit
+    maxTouchedRecorded: 200,
+    maxErrorsRecorded: 50,
+    // Bounds for admin-edited schedule intervals
+    minIntervalMinutes: 1,
+    maxIntervalMinutes: 7 * 24 * 60
+};
+
+// Identifies this server process in leases and run records
+export const INSTANCE_ID = `${process.env.REPL_ID || process.env.HOSTNAME || 'local'}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+function leasesCollection(db, APP_ID) {
+    return db.collection(`artifacts/${APP_ID}/public/data/job_leases`);
+}
+
+function runsCollection(db, APP_ID) {
+    return db.collection(`artifacts/${APP_ID}/public/data/job_runs`);
+}
+
+function scheduleConfigRef(db, APP_ID) {
+    return db.collection(`artifacts/${APP_ID}/public/data/job_config`).doc('schedules');
+}
+
+/**
+ * Per-run context handed to job functions so they can report what they did.
+ * Jobs default to a fresh context, so calling them directly still works.
+ */
+export function createJobContext() {
+    const touched = new Set();
+    const errors = [];
+    return {
+        touched,
+        errors,
+        // Record a market (or poll/order) the job changed
+        touch(id) {
+            if (id) touched.add(id);
+        },
+        // Record a per-item failure without failing the whole run
+        recordError(id, error) {
+            errors.push({ id: id || null, message: error?.message || String(error) });
+        }
+    };
+}
+
+// Take the job's lease unless a live lease is held by another run
+async function acquireLease(db, APP_ID, jobName, runId, leaseMs) {
+    const leaseRef = leasesCollection(db, APP_ID).doc(jobName);
+    return db.runTransaction(async (transaction) => {
+        const leaseSnap = await transaction.get(leaseRef);
+        const now = new Date();
+        if (leaseSnap.exists) {
+            const lease = leaseSnap.data();
+            const expiresAt = lease.expiresAt?.toDate?.() || new Date(lease.expiresAt);
+            if (lease.runId && expiresAt > now) {
+                return { acquired: false, activeRunId: lease.runId, activeOwner: lease.owner, expiresAt };
+            }
+        }
+        transaction.set(leaseRef, {
+            jobName,
+            runId,
+            owner: INSTANCE_ID,
+            acquiredAt: now,
+            expiresAt: new Date(now.getTime() + leaseMs)
+        });
+        return { acquired: true };
+    });
+}
+
+// Push the lease out by another leaseMs while we still hold it
+async function renewLease(db, APP_ID, jobName, runId, leaseMs) {
+    const leaseRef = leasesCollection(db, APP_ID).doc(jobName);
+    await db.runTransaction(async (transaction) => {
+        const leaseSnap = await transaction.get(leaseRef);
+        if (leaseSnap.exists && leaseSnap.data().runId === runId) {
+            transaction.set(leaseRef, { expiresAt: new Date(Date.now() + leaseMs) }, { merge: true });
+        }
+    });
+}
+
+// Release only if we still hold it (an expired lease may have been taken over)
+async function releaseLease(db, APP_ID, jobName, runId) {
+    const leaseRef = leasesCollection(db, APP_ID).doc(jobName);
+    await db.runTransaction(async (transaction) => {
+        const leaseSnap = await transaction.get(leaseRef);
+        if (leaseSnap.exists && leaseSnap.data().runId === runId) {
+            transaction.set(leaseRef, { runId: null, releasedAt: new Date() }, { merge: true });
+        }
+    });
+}
+
+/**
+ * Run one job under its lease and record the run.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} APP_ID
+ * @param {string} jobName
+ * @param {Object} job - { run: async (context) => any, leaseMs? }
+ * @param {string} trigger - 'cron' | 'api' | 'manual' | 'startup'
+ * @returns {Object} the run record (status 'completed' | 'failed' | 'skipped')
+ */
+export async function runJob(db, APP_ID, jobName, job, trigger) {
+    const runRef = runsCollection(db, APP_ID).doc();
+    const startedAt = new Date();
+    const baseRecord = { jobName, trigger, owner: INSTANCE_ID, startedAt };
+
+    const leaseMs = job.leaseMs || JOB_RUNNER_CONFIG.defaultLeaseMs;
+    const lease = await acquireLease(db, APP_ID, jobName, runRef.id, leaseMs);
+    if (!lease.acquired) {
+        const skipped = {
+            ...baseRecord,
+            status: 'skipped',
+            reason: 'previous run still active',
+            activeRunId: lease.activeRunId,
+            activeOwner: lease.activeOwner || null,
+            endedAt: startedAt
+        };
+        await runRef.set(skipped);
+        console.log(`⏭️ JOBS: Skipped ${jobName} - run ${lease.activeRunId} holds the lease until ${lease.expiresAt.toISOString()}`);
+        return { id: runRef.id, ...skipped };
+    }
+
+    // Keep the lease while the job runs, however long it takes
+    const heartbeat = setInterval(() => {
+        renewLease(db, APP_ID, jobName, runRef.id, leaseMs)
+            .catch(error => console.error(`⚠️ JOBS: Failed to renew the ${jobName} lease:`, error.message));
+    }, leaseMs / 3);
+    heartbeat.unref?.();
+
+    const context = createJobContext();
+    let record;
+    try {
+        await runRef.set({ ...baseRecord, status: 'running' });
+        console.log(`▶️ JOBS: ${jobName} started (${trigger}, run ${runRef.id})`);
+
+        let status = 'completed';
+        let fatalError = null;
+        try {
+            await job.run(context);
+        } catch (error) {
+            status = 'failed';
+            fatalError = error.message;
+            console.error(`❌ JOBS: ${jobName} failed:`, error.message);
+        }
+
+        const endedAt = new Date();
+        const touched = [...context.touched];
+        record = {
+            ...baseRecord,
+            status,
+            endedAt,
+            durationMs: endedAt - startedAt,
+            marketsTouched: touched.slice(0, JOB_RUNNER_CONFIG.maxTouchedRecorded),
+            marketsTouchedCount: touched.length,
+            errors: context.errors.slice(0, JOB_RUNNER_CONFIG.maxErrorsRecorded),
+            errorCount: context.errors.length,
+            error: fatalError
+        };
+        await runRef.set(record);
+    } finally {
+        clearInterval(heartbeat);
+        await releaseLease(db, APP_ID, jobName, runRef.id);
+    }
+
+    console.log(`${record.status === 'completed' ? '✅' : '❌'} JOBS: ${jobName} ${record.status} in ${record.durationMs}ms (${record.marketsTouchedCount} touched, ${record.errorCount} errors)`);
+    return { id: runRef.id, ...record };
+}
+
+/**
+ * Lease state and recent runs for every registered job (admin dashboard).
+ */
+export async function getJobsStatus(db, APP_ID, jobs, { recentRunsPerJob = 5 } = {}) {
+    const names = Object.keys(jobs);
+    const [leaseSnaps, runsSnap] = await Promise.all([
+        Promise.all(names.map(name => leasesCollection(db, APP_ID).doc(name).get())),
+        runsCollection(db, APP_ID).orderBy('startedAt', 'desc').limit(names.length * recentRunsPerJob * 4).get()
+    ]);
+
+    const runsByJob = new Map(names.map(name => [name, []]));
+    runsSnap.forEach(doc => {
+        const run = doc.data();
+        const runs = runsByJob.get(run.jobName);
+        if (runs && runs.length < recentRunsPerJob) runs.push({ id: doc.id, ...run });
+    });
+
+    const now = new Date();
+    return names.map((name, i) => {
+        const lease = leaseSnaps[i].exists ? leaseSnaps[i].data() : null;
+        const expiresAt = lease?.expiresAt?.toDate?.() || (lease?.expiresAt ? new Date(lease.expiresAt) : null);
+        const runs = runsByJob.get(name);
+        return {
+            name,
+            description: jobs[name].description || '',
+            active: !!(lease?.runId && expiresAt > now),
+            lease: lease?.runId ? { runId: lease.runId, owner: lease.owner, expiresAt } : null,
+            lastRun: runs[0] || null,
+            recentRuns: runs
+        };
+    });
+}
+
+/**
+ * Effective schedule per job: the registry default overlaid with the admin
+ * config document. Returns { [jobName]: { enabled, intervalMinutes } }.
+ */
+export async function getJobSchedules(db, APP_ID, jobs) {
+    const configSnap = await scheduleConfigRef(db, APP_ID).get();
+    const overrides = configSnap.exists ? (configSnap.data().jobs || {}) : {};
+
+    return Object.fromEntries(Object.entries(jobs).map(([name, job]) => {
+        const defaults = { enabled: true, intervalMinutes: 5, ...job.schedule };
+        const override = overrides[name] || {};
+        return [name, {
+            enabled: typeof override.enabled === 'boolean' ? override.enabled : defaults.enabled,
+            intervalMinutes: Number.isFinite(override.intervalMinutes) ? override.intervalMinutes : defaults.intervalMinutes
+        }];
+    }));
+}
+
+// Validation failures carry status 400 so routes can pass them straight through
+function invalidSchedule(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * Validate and store schedule overrides from an admin.
+ * `updates` is { [jobName]: { enabled?, intervalMinutes? } }; unknown jobs or
+ * out-of-range intervals throw (status 400) before anything is written.
+ */
+export async function updateJobSchedules(db, APP_ID, jobs, updates) {
+    const changes = {};
+    for (const [name, update] of Object.entries(updates || {})) {
+        if (!jobs[name]) {
+            throw invalidSchedule(`Unknown job "${name}"`);
+        }
+        const change = {};
+        if (update.enabled !== undefined) {
+            if (typeof update.enabled !== 'boolean') {
+                throw invalidSchedule(`enabled for ${name} must be true or false`);
+            }
+            change.enabled = update.enabled;
+        }
+        if (update.intervalMinutes !== undefined) {
+            const interval = Number(update.intervalMinutes);
+            if (!Number.isInteger(interval) || interval < JOB_RUNNER_CONFIG.minIntervalMinutes || interval > JOB_RUNNER_CONFIG.maxIntervalMinutes) {
+                throw invalidSchedule(`intervalMinutes for ${name} must be a whole number between ${JOB_RUNNER_CONFIG.minIntervalMinutes} and ${JOB_RUNNER_CONFIG.maxIntervalMinutes}`);
+            }
+            change.intervalMinutes = interval;
+        }
+        if (Object.keys(change).length > 0) changes[name] = change;
+    }
+
+    if (Object.keys(changes).length > 0) {
+        await scheduleConfigRef(db, APP_ID).set({
+            jobs: changes,
+            updatedAt: new Date()
+        }, { merge: true });
+    }
+
+    return getJobSchedules(db, APP_ID, jobs);
+}
+
+/**
+ * Names of enabled jobs whose interval has passed since their lease was last
+ * taken (by any trigger or instance), in registry order.
+ */
+export async function getDueJobs(db, APP_ID, jobs, schedules, now = new Date()) {
+    const names = Object.keys(jobs).filter(name => schedules[name]?.enabled);
+    const leaseSnaps = await Promise.all(names.map(name => leasesCollection(db, APP_ID).doc(name).get()));
+
+    return names.filter((name, i) => {
+        const acquiredAt = leaseSnaps[i].exists ? leaseSnaps[i].data().acquiredAt : null;
+        if (!acquiredAt) return true;
+        const lastStarted = acquiredAt.toDate?.() || new Date(acquiredAt);
+        return now - lastStarted >= schedules[name].intervalMinutes * 60 * 1000;
+    });
+}
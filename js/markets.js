@@ -46,6 +46,8 @@ function renderMarkets() {
         addTrendingBadges();
         animateMarketCards();
     }, 100);
+    
+    startStakingCountdowns();
 }
 
 // Create market card HTML
@@ -56,9 +58,13 @@ function createMarketCard(market) {
     const notificationBadge = unreadCount > 0 
         ? `<span class="market-notification-badge">${unreadCount}</span>` 
         : '';
+    const closesAt = getStakingClosesAt(market);
+    const isLocked = isStakingLocked(market);
+    const lockedAttrs = isLocked ? 'disabled title="Staking closed"' : '';
+    const lockedClass = isLocked ? 'opacity-50 cursor-not-allowed' : '';
     
     return `
-        <div class="ui-panel p-6 rounded-2xl hover-lift interactive market-card relative" data-market-id="${market.id}">
+        <div class="ui-panel p-6 rounded-2xl hover-lift interactive market-card relative ${isLocked ? 'market-locked' : ''}" data-market-id="${market.id}">
             ${notificationBadge}
             <div class="flex justify-between items-start mb-4">
                 <div class="flex-1">
@@ -80,12 +86,12 @@ function createMarketCard(market) {
             
             <!-- Odds Display -->
             <div class="grid grid-cols-2 gap-3 mb-4">
-                <button onclick="placeBet('${market.id}', 'YES')" 
-                    class="bet-button bg-green-500/20 hover:bg-green-500/30 text-green-400 font-bold py-3 px-4 rounded-xl transition-all">
+                <button onclick="placeBet('${market.id}', 'YES')" ${lockedAttrs}
+                    class="bet-button bg-green-500/20 hover:bg-green-500/30 text-green-400 font-bold py-3 px-4 rounded-xl transition-all ${lockedClass}">
                     YES ${yesPercent}%
                 </button>
-                <button onclick="placeBet('${market.id}', 'NO')" 
-                    class="bet-button bg-red-500/20 hover:bg-red-500/30 text-red-400 font-bold py-3 px-4 rounded-xl transition-all">
+                <button onclick="placeBet('${market.id}', 'NO')" ${lockedAttrs}
+                    class="bet-button bg-red-500/20 hover:bg-red-500/30 text-red-400 font-bold py-3 px-4 rounded-xl transition-all ${lockedClass}">
                     NO ${noPercent}%
                 </button>
             </div>
@@ -94,9 +100,13 @@ function createMarketCard(market) {
             ${getAIInsightCard(market)}
             
             <div class="flex items-center justify-between text-xs text-gray-400 mt-4">
-                <span>Resolves: ${formatDate(market.resolveDate)}</span>
+                <span>Resolves: ${formatDate(market.resolveDate || market.resolutionDate)}</span>
                 <span>${market.totalVolume || 0} predictions</span>
             </div>
+            ${closesAt ? `
+            <div class="staking-countdown text-xs mt-2 ${isLocked ? 'text-red-400' : 'text-amber-400'}" data-closes-at="${closesAt.toISOString()}">
+                ${isLocked ? '🔒 Staking closed' : `⏳ Staking closes in ${formatCountdown(closesAt - Date.now())}`}
+            </div>` : ''}
         </div>
     `;
 }
@@ -123,6 +133,115 @@ function formatDate(timestamp) {
     return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
 }
 
+// Firestore Timestamp, Date, ISO string or serialized { _seconds } -> Date (null if invalid)
+function toDateValue(value) {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    const seconds = value._seconds ?? value.seconds;
+    const date = seconds !== undefined ? new Date(seconds * 1000) : new Date(value);
+    return isNaN(date) ? null : date;
+}
+
+// When the market becomes due for resolution (mirrors getResolvesAt in index.js)
+function getResolvesAt(market) {
+    const resolvesAt = toDateValue(market.resolvesAt);
+    if (resolvesAt) return resolvesAt;
+    const createdAt = toDateValue(market.createdAt);
+    const match = /^\s*(\d+)\s*([mhd])\s*$/i.exec(market.duration || '');
+    if (createdAt && match) {
+        const units = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+        return new Date(createdAt.getTime() + parseInt(match[1]) * units[match[2].toLowerCase()]);
+    }
+    if (market.resolutionDate) {
+        const resolutionStart = new Date(market.resolutionDate);
+        if (!isNaN(resolutionStart)) return resolutionStart;
+    }
+    return null;
+}
+
+// When staking closes (mirrors getStakingClosesAt in index.js): a date-only
+// stakingDeadline runs to the end of that UTC day, a timestamp closes at that
+// instant, otherwise until resolvesAt
+function getStakingClosesAt(market) {
+    if (market.stakingDeadline) {
+        const deadline = /^\d{4}-\d{2}-\d{2}$/.test(market.stakingDeadline)
+            ? new Date(`${market.stakingDeadline}T23:59:59.999Z`)
+            : toDateValue(market.stakingDeadline);
+        if (deadline && !isNaN(deadline)) return deadline;
+    }
+    return getResolvesAt(market);
+}
+
+// Locked once the cron marks the market closed or the deadline passes before it runs
+function isStakingLocked(market) {
+    if (market.isResolved || (market.status && market.status !== 'active')) return true;
+    const closesAt = getStakingClosesAt(market);
+    return !!closesAt && closesAt <= new Date();
+}
+
+// Countdown text, e.g. "2d 4h", "3h 12m", "45s"
+function formatCountdown(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor((totalSeconds % 86400) / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${totalSeconds % 60}s`;
+    return `${totalSeconds}s`;
+}
+
+// Countdown ticker reference
+let stakingCountdownInterval = null;
+
+// Tick every rendered countdown and lock cards whose deadline just passed
+function updateStakingCountdowns() {
+    document.querySelectorAll('.staking-countdown[data-closes-at]').forEach(el => {
+        const remaining = new Date(el.dataset.closesAt) - Date.now();
+        if (remaining > 0) {
+            el.textContent = `⏳ Staking closes in ${formatCountdown(remaining)}`;
+            return;
+        }
+        el.textContent = '🔒 Staking closed';
+        el.classList.replace('text-amber-400', 'text-red-400');
+        const card = el.closest('.market-card');
+        if (card && !card.classList.contains('market-locked')) {
+            card.classList.add('market-locked');
+            card.querySelectorAll('.bet-button').forEach(btn => {
+                btn.disabled = true;
+                btn.title = 'Staking closed';
+                btn.classList.add('opacity-50', 'cursor-not-allowed');
+            });
+        }
+    });
+}
+
+function startStakingCountdowns() {
+    if (stakingCountdownInterval) return;
+    stakingCountdownInterval = setInterval(updateStakingCountdowns, 1000);
+}
+
+// Submit a stake to the server staking API
+async function submitStake(marketId, pick, amount, asset) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (window.currentUser) {
+        const token = await window.currentUser.getIdToken();
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+    }
+    
+    const response = await fetch(`/api/markets/${encodeURIComponent(marketId)}/stake`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ pick, amount, asset, userId: window.currentUserId })
+    });
+    
+    const data = await response.json().catch(() => ({ error: 'Unknown error' }));
+    if (!response.ok) {
+        throw new Error(data.error || `Stake failed (${response.status})`);
+    }
+    return data;
+}
+
 // Place bet function - used by copy trading and manual clicks (DOM-independent)
 async function placeBet(marketId, pick, amount = 10, asset = 'balance') {
     console.log('💰 placeBet called:', { marketId, pick, amount, asset });
@@ -170,30 +289,17 @@ async function placeBet(marketId, pick, amount = 10, asset = 'balance') {
             throw new Error(`Market ${marketId} not found`);
         }
         
-        if (market.isResolved) {
-            console.warn('❌ Market is already resolved');
+        if (isStakingLocked(market)) {
+            console.warn('❌ Staking is closed for this market');
             if (window.showToast) {
                 window.showToast('This market is closed', 'warning');
             }
             return false;
         }
         
-        // Call the DOM-independent executeStakeTransaction function
-        console.log('📊 Executing stake transaction with pick:', pick);
-        
-        // Check if executeStakeTransaction is available
-        if (typeof window.executeStakeTransaction !== 'function') {
-            console.error('❌ executeStakeTransaction not available, falling back to legacy flow');
-            // Fallback: set DOM and call stakeMarket
-            window.currentMarketId = marketId;
-            window.currentMarket = market;
-            const stakeAmountInput = document.getElementById('stake-amount-input');
-            if (stakeAmountInput) stakeAmountInput.value = amount;
-            await window.stakeMarket(pick);
-            return true;
-        }
-        
-        await window.executeStakeTransaction(marketId, market, pick, amount, asset);
+        // Stake through the server staking API (validates pick and balance in one transaction)
+        console.log('📊 Submitting stake to server with pick:', pick);
+        await submitStake(marketId, pick, amount, asset);
         
         console.log('✅ Bet placed successfully');
         if (window.showToast) {
@@ -286,6 +392,10 @@ function stopNotificationPolling() {
 window.filterByCategory = filterByCategory;
 window.renderMarkets = renderMarkets;
 window.placeBet = placeBet;
+window.submitStake = submitStake;
+window.getResolvesAt = getResolvesAt;
+window.getStakingClosesAt = getStakingClosesAt;
+window.isStakingLocked = isStakingLocked;
 window.fetchMarketNotifications = fetchMarketNotifications;
 window.startNotificationPolling = startNotificationPolling;
 window.stopNotificationPolling = stopNotificationPolling;
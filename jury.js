@@ -0,0 +1,796 @@
+// =============================================================================
+// JURY - Dispute juries: selection, voting, verdicts, bonds and appeals
+// =============================================================================
+//
+// Disputing a market opens a jury on the market document (`market.jury`). Jurors
+// are drawn from the `leaderboard` pool weighted by reputation (XP), excluding
+// everyone with a pledge on the market, its creator, the disputer and jurors from
+// earlier rounds. Each juror is notified without a code and reveals a one-time
+// code from the invite (revealJuryCode); it is stored only as a SHA-256 hash
+// (`jury_codes/{hash}`) and revealing again replaces it. Votes land in `jury_votes`,
+// one per juror per round, and every vote, code reveal and rejected attempt is
+// written to `jury_audit_log`.
+//
+// The disputer posts a bond from their balance into the market's dispute escrow.
+// It is returned with a reward if the jury flips the outcome and forfeited to the
+// house if the outcome stands. Once a round closes its verdict can be appealed
+// within the appeal window, which opens the next round with a larger jury and
+// bond. Rounds, bonds and verdicts are tracked on `disputes/{marketId}`.
+//
+// The jury closes when every juror has voted, or at its deadline (close-juries
+// job) if at least `quorum` votes are in. A majority verdict is applied through
+// the settlement engine - as the pending outcome of an unsettled market (paid out
+// by the finalize-settlements job once the appeal window closes), or through
+// resettleMarket when it overturns a settled outcome - and jurors in the majority
+// earn XP. A tie or a missed quorum leaves the oracle outcome standing.
+
+import admin from 'firebase-admin';
+import crypto from 'crypto';
+import { proposeSettlement, resettleMarket, isValidOutcome, VOID_OUTCOME } from './settlement-engine.js';
+import { recordTransfer, LEDGER_REASONS, SYSTEM_ACCOUNTS, userAccount, disputeAccount } from './ledger.js';
+import { recordAgentOutcomes } from './agent-track-record.js';
+import { createJobContext } from './job-runner.js';
+import { getMarketOutcomes } from './swarm-verify-oracle.js';
+import { computeMarketOdds } from './price-history.js';
+
+export const JURY_CONFIG = {
+    // Round 1 is the original dispute, later rounds are appeals. `quorum` is the votes
+    // needed for a verdict once the deadline passes; `bond` is in balance (BUSD).
+    rounds: [
+        {
+            size: parseInt(process.env.JURY_SIZE) || 5,
+            quorum: parseInt(process.env.JURY_QUORUM) || 3,
+            bond: parseFloat(process.env.DISPUTE_BOND) || 10
+        },
+        { size: 9, quorum: 5, bond: 50 }
+    ],
+    // Share of the bond paid on top of it when a dispute flips the outcome
+    bondRewardRate: 0.5,
+    appealWindowHours: 24,
+    deadlineHours: parseFloat(process.env.JURY_DEADLINE_HOURS) || 24,
+    // Jurors are drawn from this many top leaderboard users
+    poolSize: 100,
+    majorityXpReward: 100,
+    // Disputers must explain their case; jurors may justify their vote
+    maxArgumentLength: 2000,
+    maxJustificationLength: 1000,
+    codeLength: 10,
+    appUrl: process.env.REPLIT_DEV_DOMAIN || 'http://localhost:5000'
+};
+
+function dataPath(APP_ID, collection) {
+    return `artifacts/${APP_ID}/public/data/${collection}`;
+}
+
+// Errors carry an HTTP status so routes can pass them straight through
+function juryError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function disputesCollection(db, APP_ID) {
+    return db.collection(dataPath(APP_ID, 'disputes'));
+}
+
+// Juror ids live only on the dispute document, never on the public market
+function roundJurorIds(dispute, round) {
+    return (dispute?.rounds || []).find(r => r.round === round)?.jurorIds || [];
+}
+
+function toDate(value) {
+    return value?.toDate?.() || (value ? new Date(value) : null);
+}
+
+// Trimmed free text capped at `maxLength`, or null when blank
+function cleanText(value, maxLength) {
+    const text = typeof value === 'string' ? value.trim() : '';
+    return text ? text.slice(0, maxLength) : null;
+}
+
+// Throw unless the code exists, is unused, unexpired and assigned to `userId`
+function checkJuryCode(codeSnap, userId) {
+    if (!codeSnap.exists) throw juryError(404, 'Invalid jury code');
+    const codeData = codeSnap.data();
+    if (codeData.used) throw juryError(400, 'Code already used');
+    if (toDate(codeData.expiresAt) < new Date()) throw juryError(400, 'Code expired');
+    if (codeData.userId !== userId) throw juryError(403, 'Code not assigned to you');
+    return codeData;
+}
+
+function generateJuryCode() {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    let code = '';
+    for (let i = 0; i < JURY_CONFIG.codeLength; i++) {
+        code += chars.charAt(crypto.randomInt(chars.length));
+    }
+    return code;
+}
+
+// Jury codes are looked up by hash so the plaintext never reaches Firestore
+export function hashJuryCode(code) {
+    return crypto.createHash('sha256').update(String(code || '').trim().toUpperCase()).digest('hex');
+}
+
+function juryCodeRef(db, APP_ID, code) {
+    return db.collection(dataPath(APP_ID, 'jury_codes')).doc(hashJuryCode(code));
+}
+
+// Append-only record of jury votes, code reveals and rejected attempts
+function writeJuryAudit(writer, db, APP_ID, entry) {
+    writer.set(db.collection(dataPath(APP_ID, 'jury_audit_log')).doc(), {
+        ...entry,
+        timestamp: new Date()
+    });
+}
+
+/**
+ * Draw up to `size` jurors from the top of the leaderboard. Sampling is weighted by
+ * sqrt(XP + 1) without replacement (Efraimidis-Spirakis keys), so reputable users
+ * are likelier picks without the same top 10 sitting on every jury.
+ *
+ * @returns {Array<{ userId, displayName, xp }>}
+ */
+export async function selectJurors(db, APP_ID, marketId, { size = JURY_CONFIG.rounds[0].size, excludeUserIds = [] } = {}) {
+    const [pledgeSnap, leaderboardSnap] = await Promise.all([
+        db.collection(dataPath(APP_ID, 'pledges')).where('marketId', '==', marketId).get(),
+        db.collection(dataPath(APP_ID, 'leaderboard')).orderBy('xp', 'desc').limit(JURY_CONFIG.poolSize).get()
+    ]);
+
+    const excluded = new Set(excludeUserIds.filter(Boolean));
+    pledgeSnap.forEach(doc => excluded.add(doc.data().userId));
+
+    return leaderboardSnap.docs
+        .filter(doc => !excluded.has(doc.id))
+        .map(doc => {
+            const xp = Math.max(0, doc.data().xp || 0);
+            const random = crypto.randomInt(1, 2 ** 32) / 2 ** 32;
+            return {
+                userId: doc.id,
+                displayName: doc.data().displayName || 'Anonymous',
+                xp,
+                key: Math.pow(random, 1 / Math.sqrt(xp + 1))
+            };
+        })
+        .sort((a, b) => b.key - a.key)
+        .slice(0, size)
+        .map(({ key, ...juror }) => juror);
+}
+
+/**
+ * Dispute a market, or appeal the last jury verdict: take the round's bond from the
+ * disputer, store their written argument for the jurors, select jurors, put the market in 'disputed' with an open jury and invite
+ * each juror. Throws (with status) if a round is already under way, no
+ * appeals are left, the window has closed, the disputer can't cover the bond or too
+ * few eligible jurors exist to reach quorum.
+ */
+export async function openJury(db, APP_ID, marketRef, { disputedBy, argument }) {
+    const disputeArgument = cleanText(argument, JURY_CONFIG.maxArgumentLength);
+    if (!disputeArgument) throw juryError(400, 'Explain why the outcome is wrong - jurors read your argument');
+
+    const disputeRef = disputesCollection(db, APP_ID).doc(marketRef.id);
+    const [marketSnap, disputeSnap] = await Promise.all([marketRef.get(), disputeRef.get()]);
+    if (!marketSnap.exists) throw juryError(404, 'Market not found');
+    const market = marketSnap.data();
+    const previousRounds = disputeSnap.exists ? disputeSnap.data().rounds || [] : [];
+
+    const round = previousRounds.length + 1;
+    const roundConfig = JURY_CONFIG.rounds[round - 1];
+    if (!roundConfig) throw juryError(400, 'This market has no appeals left');
+
+    // Only a proposed outcome inside its dispute window can be challenged
+    const windowEnd = toDate(market.disputeWindowEndsAt);
+    if (!market.isResolved || !windowEnd) {
+        throw juryError(400, 'Market has no resolved outcome open to dispute');
+    }
+    if (new Date() > windowEnd) {
+        throw juryError(400, round > 1 ? 'Appeal window has closed' : 'Dispute window has closed');
+    }
+
+    const jurors = await selectJurors(db, APP_ID, marketRef.id, {
+        size: roundConfig.size,
+        excludeUserIds: [disputedBy, market.createdBy, ...previousRounds.flatMap(r => r.jurorIds || [])]
+    });
+    if (jurors.length < roundConfig.quorum) {
+        throw juryError(409, `Only ${jurors.length} eligible jurors - at least ${roundConfig.quorum} are needed`);
+    }
+
+    const now = new Date();
+    const deadline = new Date(now.getTime() + JURY_CONFIG.deadlineHours * 60 * 60 * 1000);
+    const profileRef = db.collection(dataPath(APP_ID, 'user_profile')).doc(disputedBy);
+
+    await db.runTransaction(async (transaction) => {
+        const [current, dispute, profileSnap] = await Promise.all([
+            transaction.get(marketRef).then(snap => snap.data()),
+            transaction.get(disputeRef).then(snap => snap.data() || null),
+            transaction.get(profileRef)
+        ]);
+        if (current.status === 'disputed' || current.jury?.status === 'open' || dispute?.status === 'open') {
+            throw juryError(400, 'Market already disputed');
+        }
+        if (!current.isResolved || !current.disputeWindowEndsAt) {
+            throw juryError(400, 'Market has no resolved outcome open to dispute');
+        }
+        if ((dispute?.rounds || []).length !== previousRounds.length) {
+            throw juryError(409, 'The dispute changed - please try again');
+        }
+        if (current.winningOutcome === VOID_OUTCOME) {
+            throw juryError(400, 'Voided markets cannot be disputed');
+        }
+        if (!profileSnap.exists) throw juryError(404, 'User profile not found');
+        if ((profileSnap.data().balance || 0) < roundConfig.bond) {
+            throw juryError(400, `Insufficient balance for the ${roundConfig.bond} BUSD dispute bond`);
+        }
+
+        transaction.update(profileRef, { balance: admin.firestore.FieldValue.increment(-roundConfig.bond) });
+        recordTransfer(transaction, db, APP_ID, {
+            from: userAccount(disputedBy),
+            to: disputeAccount(marketRef.id),
+            field: 'balance',
+            amount: roundConfig.bond,
+            reason: LEDGER_REASONS.DISPUTE_BOND,
+            refId: marketRef.id,
+            memo: `Round ${round} bond`
+        });
+
+        const jurorIds = jurors.map(j => j.userId);
+        transaction.set(disputeRef, {
+            marketId: marketRef.id,
+            marketTitle: market.title,
+            status: 'open',
+            currentRound: round,
+            appealDeadline: null,
+            rounds: [...previousRounds, {
+                round,
+                disputedBy,
+                argument: disputeArgument,
+                bond: roundConfig.bond,
+                // The outcome this round challenges - settled or pending (null before any resolution)
+                outcomeBefore: current.winningOutcome || null,
+                jurorIds,
+                size: jurors.length,
+                quorum: roundConfig.quorum,
+                openedAt: now,
+                deadline,
+                status: 'open'
+            }],
+            createdAt: dispute?.createdAt || now,
+            updatedAt: now
+        });
+
+        transaction.update(marketRef, {
+            status: 'disputed',
+            statusBeforeDispute: current.status || null,
+            disputedAt: now,
+            disputedBy,
+            canBeDisputed: false,
+            jury: {
+                round,
+                status: 'open',
+                size: jurors.length,
+                quorum: roundConfig.quorum,
+                openedAt: now,
+                deadline
+            }
+        });
+
+        // Invites carry no code - the juror reveals one from the invite (revealJuryCode)
+        jurors.forEach(juror => {
+            transaction.set(db.collection(dataPath(APP_ID, `user_profile/${juror.userId}/notifications`)).doc(), {
+                type: 'jury_invite',
+                marketId: marketRef.id,
+                marketTitle: market.title,
+                actionUrl: `jury:${marketRef.id}`,
+                message: `You've been selected as a juror for: "${market.title}". Open this invite to get your voting code.`,
+                timestamp: now,
+                read: false,
+                expiresAt: deadline
+            });
+        });
+    });
+
+    console.log(`⚖️ Market ${marketRef.id} disputed (round ${round}, ${roundConfig.bond} BUSD bond). ${jurors.length} jurors selected (quorum ${roundConfig.quorum}, deadline ${deadline.toISOString()}).`);
+    return { round, bond: roundConfig.bond, jurors, deadline, quorum: roundConfig.quorum };
+}
+
+/**
+ * Issue `userId` a fresh one-time code for the market's open jury and return it in
+ * plaintext - the only time it is shown. Any unused code they hold for this round is
+ * replaced, so the code never has to be stored or sent anywhere readable. Throws 403
+ * if they aren't on the open jury and 400 once they have voted.
+ *
+ * @returns {Object} { code, juryLink, expiresAt }
+ */
+export async function revealJuryCode(db, APP_ID, { marketId, userId, ip = null }) {
+    const marketRef = db.collection(dataPath(APP_ID, 'standard_markets')).doc(marketId);
+    const disputeRef = disputesCollection(db, APP_ID).doc(marketId);
+    const heldCodes = db.collection(dataPath(APP_ID, 'jury_codes'))
+        .where('marketId', '==', marketId)
+        .where('userId', '==', userId);
+    const code = generateJuryCode();
+    const codeRef = juryCodeRef(db, APP_ID, code);
+
+    const expiresAt = await db.runTransaction(async (transaction) => {
+        const [marketSnap, disputeSnap, heldSnap] = await Promise.all([
+            transaction.get(marketRef),
+            transaction.get(disputeRef),
+            transaction.get(heldCodes)
+        ]);
+        const jury = marketSnap.data()?.jury;
+        if (jury?.status !== 'open' || !roundJurorIds(disputeSnap.data(), jury.round || 1).includes(userId)) {
+            throw juryError(403, 'You are not on an open jury for this market');
+        }
+
+        // Codes from earlier rounds predate this jury
+        const openedAt = toDate(jury.openedAt);
+        const roundCodes = heldSnap.docs.filter(doc => !openedAt || toDate(doc.data().createdAt) >= openedAt);
+        if (roundCodes.some(doc => doc.data().used)) throw juryError(400, 'You have already voted in this round');
+
+        const now = new Date();
+        roundCodes.forEach(doc => transaction.delete(doc.ref));
+        transaction.set(codeRef, {
+            codeHash: codeRef.id,
+            userId,
+            marketId,
+            marketTitle: marketSnap.data().title || '',
+            createdAt: now,
+            expiresAt: jury.deadline,
+            used: false,
+            usedAt: null
+        });
+        writeJuryAudit(transaction, db, APP_ID, {
+            action: 'code_revealed',
+            userId,
+            marketId,
+            round: jury.round || 1,
+            codeHash: codeRef.id,
+            ip
+        });
+        return toDate(jury.deadline);
+    });
+
+    return { code, juryLink: `${JURY_CONFIG.appUrl}/app.html?jury=${code}`, expiresAt };
+}
+
+// Audit a rejected code attempt; the rejection stands even if the audit write fails
+async function auditRejectedAttempt(db, APP_ID, entry) {
+    const batch = db.batch();
+    writeJuryAudit(batch, db, APP_ID, entry);
+    await batch.commit().catch(auditError => console.error('⚠️ Failed to write jury audit entry:', auditError.message));
+}
+
+/**
+ * Everything a juror needs to deliberate, for a valid code held by `userId`: the
+ * market's resolution rules, the outcome under challenge, the Swarm-Verify agents'
+ * rationales and sources, the disputer's argument, earlier rounds and the pool.
+ * Other jurors' identities and votes are left out.
+ */
+export async function getJuryEvidencePack(db, APP_ID, { code, userId, ip = null }) {
+    const codeRef = juryCodeRef(db, APP_ID, code);
+    let codeData;
+    try {
+        codeData = checkJuryCode(await codeRef.get(), userId);
+    } catch (error) {
+        if (error.status) {
+            await auditRejectedAttempt(db, APP_ID, { action: 'code_rejected', userId, codeHash: codeRef.id, reason: error.message, ip });
+        }
+        throw error;
+    }
+
+    const marketRef = db.collection(dataPath(APP_ID, 'standard_markets')).doc(codeData.marketId);
+    const [marketSnap, evidenceSnap, disputeSnap] = await Promise.all([
+        marketRef.get(),
+        marketRef.collection('resolutionEvidence').doc('swarm-verify-primary').get(),
+        disputesCollection(db, APP_ID).doc(codeData.marketId).get()
+    ]);
+    if (!marketSnap.exists) throw juryError(404, 'Market not found');
+
+    const market = marketSnap.data();
+    const iso = (value) => toDate(value)?.toISOString() || null;
+    const swarm = evidenceSnap.exists ? evidenceSnap.data().resolution || {} : null;
+    const rounds = disputeSnap.exists ? disputeSnap.data().rounds || [] : [];
+    const round = rounds.find(r => r.round === (market.jury?.round || 1)) || null;
+    const odds = computeMarketOdds(market);
+
+    return {
+        marketId: codeData.marketId,
+        marketTitle: market.title || codeData.marketTitle,
+        insight: market.insight || null,
+        outcomes: getMarketOutcomes(market),
+        jury: {
+            round: market.jury?.round || 1,
+            size: market.jury?.size || null,
+            quorum: market.jury?.quorum || null,
+            deadline: iso(market.jury?.deadline || codeData.expiresAt)
+        },
+        rules: {
+            resolutionCriteria: market.resolutionCriteria || null,
+            resolutionSources: market.resolutionSources || [],
+            edgeCaseRule: market.edgeCaseRule || null,
+            resolvesAt: iso(market.resolvesAt)
+        },
+        challengedOutcome: round ? round.outcomeBefore : market.winningOutcome || null,
+        resolutionMethod: market.resolutionMethod || null,
+        argument: round?.argument || null,
+        swarm: swarm && {
+            outcome: swarm.outcome || null,
+            confidence: swarm.confidence ?? null,
+            agents: (swarm.agents || []).map(agent => ({
+                agent: agent.agent,
+                outcome: agent.outcome,
+                confidence: agent.confidence,
+                rationale: agent.rationale || '',
+                sources: agent.sources || []
+            }))
+        },
+        previousRounds: rounds
+            .filter(r => r.round < (market.jury?.round || 1))
+            .map(r => ({ round: r.round, verdict: r.verdict || null, tally: r.tally || {}, argument: r.argument || null })),
+        pool: {
+            totalPool: market.totalPool || 0,
+            volume: market.totalStakeVolume || 0,
+            odds: Object.fromEntries(Object.entries(odds).map(([outcome, pct]) => [outcome, Math.round(pct * 10) / 10]))
+        }
+    };
+}
+
+async function getJuryVotes(db, APP_ID, marketId, openedAt) {
+    const snapshot = await db.collection(dataPath(APP_ID, 'jury_votes')).where('marketId', '==', marketId).get();
+    // Votes from an earlier jury on the same market don't count
+    return snapshot.docs
+        .map(doc => ({ ref: doc.ref, ...doc.data() }))
+        .filter(vote => !openedAt || toDate(vote.timestamp) >= openedAt);
+}
+
+function tallyVotes(votes) {
+    return votes.reduce((tally, { vote }) => {
+        tally[vote] = (tally[vote] || 0) + 1;
+        return tally;
+    }, {});
+}
+
+/**
+ * Record a juror's vote with their optional justification. The code must belong to
+ * `userId`, be unused and unexpired, `userId` must sit on the market's open jury and
+ * may vote once per round. Every vote and every rejected vote is written to the
+ * jury audit log with the caller's `ip`. Closes the jury once every juror voted.
+ */
+export async function castJuryVote(db, APP_ID, { code, userId, vote, justification, ip = null }) {
+    const codeRef = juryCodeRef(db, APP_ID, code);
+    const codeHash = codeRef.id;
+
+    let marketRef;
+    try {
+        marketRef = await db.runTransaction(async (transaction) => {
+            const codeData = checkJuryCode(await transaction.get(codeRef), userId);
+
+            const ref = db.collection(dataPath(APP_ID, 'standard_markets')).doc(codeData.marketId);
+            const [market, dispute] = await Promise.all([
+                transaction.get(ref).then(snap => snap.data()),
+                transaction.get(disputesCollection(db, APP_ID).doc(codeData.marketId)).then(snap => snap.data())
+            ]);
+            if (market?.jury?.status !== 'open') throw juryError(409, 'This jury is already closed');
+            const round = market.jury.round || 1;
+            if (!roundJurorIds(dispute, round).includes(userId)) throw juryError(403, 'You are not on this jury');
+
+            // One vote per juror per round, keyed so a second vote can't slip in
+            const voteRef = db.collection(dataPath(APP_ID, 'jury_votes')).doc(`${codeData.marketId}_${round}_${userId}`);
+            if ((await transaction.get(voteRef)).exists) throw juryError(400, 'You have already voted in this round');
+            if (!isValidOutcome(market, vote)) throw juryError(400, `Invalid vote "${vote}" for this market`);
+
+            const now = new Date();
+            transaction.set(voteRef, {
+                codeHash,
+                userId,
+                marketId: codeData.marketId,
+                round,
+                vote,
+                justification: cleanText(justification, JURY_CONFIG.maxJustificationLength),
+                timestamp: now
+            });
+            transaction.update(codeRef, { used: true, usedAt: now });
+            writeJuryAudit(transaction, db, APP_ID, {
+                action: 'vote_cast',
+                userId,
+                marketId: codeData.marketId,
+                round,
+                vote,
+                codeHash,
+                ip
+            });
+            return ref;
+        });
+    } catch (error) {
+        if (error.status) {
+            await auditRejectedAttempt(db, APP_ID, { action: 'vote_rejected', userId, codeHash, reason: error.message, ip });
+        }
+        throw error;
+    }
+
+    const market = (await marketRef.get()).data();
+    const votes = await getJuryVotes(db, APP_ID, marketRef.id, toDate(market.jury.openedAt));
+    const tally = tallyVotes(votes);
+
+    let verdict = null;
+    if (votes.length >= market.jury.size) {
+        verdict = await finalizeJury(db, APP_ID, marketRef);
+    }
+
+    return { voteCount: votes.length, tally, verdict };
+}
+
+// Majority outcome, or 'TIE' when the top outcomes are level
+function majorityOutcome(tally) {
+    const ranked = Object.entries(tally).sort((a, b) => b[1] - a[1]);
+    if (ranked.length === 0) return null;
+    if (ranked.length > 1 && ranked[0][1] === ranked[1][1]) return 'TIE';
+    return ranked[0][0];
+}
+
+// XP for every juror who voted with the verdict, recorded in the ledger
+async function rewardMajorityJurors(db, APP_ID, marketId, votes, verdict) {
+    const batch = db.batch();
+    const winners = votes.filter(v => v.vote === verdict);
+    for (const vote of votes) {
+        batch.update(vote.ref, { inMajority: vote.vote === verdict, xpAwarded: vote.vote === verdict ? JURY_CONFIG.majorityXpReward : 0 });
+    }
+    for (const { userId } of winners) {
+        const xp = admin.firestore.FieldValue.increment(JURY_CONFIG.majorityXpReward);
+        batch.set(db.collection(dataPath(APP_ID, 'user_profile')).doc(userId), { xp }, { merge: true });
+        batch.set(db.collection(dataPath(APP_ID, 'leaderboard')).doc(userId), { xp }, { merge: true });
+        recordTransfer(batch, db, APP_ID, {
+            from: SYSTEM_ACCOUNTS.REWARDS,
+            to: userAccount(userId),
+            field: 'xp',
+            amount: JURY_CONFIG.majorityXpReward,
+            reason: LEDGER_REASONS.JURY_REWARD,
+            refId: marketId
+        });
+    }
+    await batch.commit();
+    return winners.map(v => v.userId);
+}
+
+// Tally the claimed jury and apply its verdict to the market. Returns the votes with the result.
+async function closeJury(db, APP_ID, marketRef, market) {
+    const votes = await getJuryVotes(db, APP_ID, marketRef.id, toDate(market.jury.openedAt));
+    const tally = tallyVotes(votes);
+    const closedAt = new Date();
+    const restoreStatus = { status: market.statusBeforeDispute || (market.isSettled ? 'resolved' : 'pending-review') };
+    // Juries opened before juror ids moved to the dispute document still list them here
+    const dropJurorIds = { 'jury.jurorIds': admin.firestore.FieldValue.delete() };
+
+    if (votes.length < market.jury.quorum) {
+        await marketRef.update({ ...restoreStatus, ...dropJurorIds, 'jury.status': 'no-quorum', 'jury.tally': tally, 'jury.closedAt': closedAt });
+        console.log(`⚖️ Jury for ${marketRef.id} missed quorum (${votes.length}/${market.jury.quorum}) - oracle outcome stands`);
+        return { votes, verdict: null, tally, applied: false };
+    }
+
+    const verdict = majorityOutcome(tally);
+    if (verdict === 'TIE') {
+        await marketRef.update({ ...restoreStatus, ...dropJurorIds, 'jury.status': 'closed', 'jury.verdict': 'TIE', 'jury.tally': tally, 'jury.closedAt': closedAt });
+        console.log(`⚖️ Jury for ${marketRef.id} tied - oracle outcome stands`);
+        return { votes, verdict, tally, applied: false };
+    }
+
+    const juryFields = {
+        resolutionMethod: 'jury_resolved',
+        juroVotesSummary: tally,
+        juryResolvedAt: closedAt
+    };
+
+    // Unsettled markets get the verdict as their pending outcome, paid out once the appeal window closes
+    let settlement;
+    if (!market.isSettled) {
+        settlement = await proposeSettlement(db, APP_ID, marketRef, verdict, juryFields, { juryVerdict: true });
+    } else if (market.winningOutcome !== verdict) {
+        settlement = await resettleMarket(db, APP_ID, marketRef, verdict, juryFields);
+        console.log(`⚖️ Jury overturned ${market.winningOutcome} -> ${verdict} on ${marketRef.id}; payouts re-settled`);
+    } else {
+        settlement = { unchanged: true, outcome: verdict };
+    }
+
+    await marketRef.update({
+        ...juryFields,
+        ...dropJurorIds,
+        status: 'resolved',
+        'jury.status': 'closed',
+        'jury.verdict': verdict,
+        'jury.tally': tally,
+        'jury.closedAt': closedAt
+    });
+
+    console.log(`⚖️ Market ${marketRef.id} jury resolved: ${verdict} (${JSON.stringify(tally)})`);
+    return { votes, verdict, tally, applied: true, overturned: !!market.winningOutcome && market.winningOutcome !== verdict, settlement };
+}
+
+/**
+ * Return or forfeit the bond of the market's last closed round and open the appeal
+ * window if another round is left. The bond comes back with a reward when the jury
+ * flipped the outcome, comes back alone when the jury missed quorum or decided an
+ * unsettled market, and goes to the house when the outcome stood (including ties).
+ * Idempotent - a round's bond is settled once.
+ *
+ * @returns {Object|null} { round, bondResult, bond, reward, appealDeadline } or null when nothing was due
+ */
+async function settleDisputeBond(db, APP_ID, marketRef) {
+    const disputeRef = disputesCollection(db, APP_ID).doc(marketRef.id);
+
+    return db.runTransaction(async (transaction) => {
+        const [market, dispute] = await Promise.all([
+            transaction.get(marketRef).then(snap => snap.data()),
+            transaction.get(disputeRef).then(snap => snap.data())
+        ]);
+        const jury = market?.jury;
+        const rounds = dispute?.rounds || [];
+        const index = rounds.findIndex(r => r.round === (jury?.round || 1));
+        const round = rounds[index];
+        if (!round || round.bondResult || !['closed', 'no-quorum'].includes(jury.status)) return null;
+
+        const profileRef = db.collection(dataPath(APP_ID, 'user_profile')).doc(round.disputedBy);
+        const profileSnap = await transaction.get(profileRef);
+
+        const decided = jury.status === 'closed' && jury.verdict !== 'TIE';
+        let bondResult = 'returned';
+        if (decided && round.outcomeBefore && jury.verdict !== round.outcomeBefore) bondResult = 'rewarded';
+        else if (jury.status === 'closed' && (!decided || jury.verdict === round.outcomeBefore)) bondResult = 'forfeited';
+        const reward = bondResult === 'rewarded' ? Math.round(round.bond * JURY_CONFIG.bondRewardRate * 100) / 100 : 0;
+
+        // --- WRITES ---
+        const escrow = disputeAccount(marketRef.id);
+        if (bondResult === 'forfeited' || !profileSnap.exists) {
+            recordTransfer(transaction, db, APP_ID, {
+                from: escrow,
+                to: SYSTEM_ACCOUNTS.HOUSE,
+                field: 'balance',
+                amount: round.bond,
+                reason: LEDGER_REASONS.DISPUTE_BOND,
+                refId: marketRef.id,
+                memo: `Round ${round.round} bond forfeited`
+            });
+        } else {
+            transaction.update(profileRef, { balance: admin.firestore.FieldValue.increment(round.bond + reward) });
+            recordTransfer(transaction, db, APP_ID, {
+                from: escrow,
+                to: userAccount(round.disputedBy),
+                field: 'balance',
+                amount: round.bond,
+                reason: LEDGER_REASONS.DISPUTE_BOND,
+                refId: marketRef.id,
+                memo: `Round ${round.round} bond returned`
+            });
+            recordTransfer(transaction, db, APP_ID, {
+                from: SYSTEM_ACCOUNTS.HOUSE,
+                to: userAccount(round.disputedBy),
+                field: 'balance',
+                amount: reward,
+                reason: LEDGER_REASONS.DISPUTE_REWARD,
+                refId: marketRef.id
+            });
+        }
+
+        // Rounds are numbered from 1, so the next round's config sits at index `round`
+        const nextRound = JURY_CONFIG.rounds[round.round];
+        const now = new Date();
+        const appealDeadline = nextRound ? new Date(now.getTime() + JURY_CONFIG.appealWindowHours * 60 * 60 * 1000) : null;
+
+        rounds[index] = {
+            ...round,
+            status: jury.status,
+            verdict: jury.verdict || null,
+            tally: jury.tally || {},
+            bondResult,
+            reward,
+            closedAt: now
+        };
+        transaction.update(disputeRef, {
+            rounds,
+            status: nextRound ? 'appealable' : 'final',
+            appealDeadline,
+            updatedAt: now
+        });
+        transaction.update(marketRef, {
+            canBeDisputed: !!nextRound,
+            disputeWindowEndsAt: appealDeadline || now,
+            disputeRound: nextRound ? round.round + 1 : null,
+            disputeBond: nextRound ? nextRound.bond : null
+        });
+
+        return { round: round.round, bondResult, bond: round.bond, reward, appealDeadline };
+    });
+}
+
+/**
+ * Close a market's open jury, apply the verdict, reward majority jurors and settle
+ * the disputer's bond. Without quorum, or on a tie, the market returns to its
+ * pre-dispute status and the oracle outcome stands.
+ * Safe to call concurrently - only the caller that moves the jury from 'open' to
+ * 'tallying' does the work; the rest get null.
+ *
+ * @returns {Object|null} { verdict, tally, applied, settlement?, rewardedJurors, bond }
+ */
+export async function finalizeJury(db, APP_ID, marketRef) {
+    const market = await db.runTransaction(async (transaction) => {
+        const snap = await transaction.get(marketRef);
+        const data = snap.data();
+        if (data?.jury?.status !== 'open') return null;
+        transaction.update(marketRef, { 'jury.status': 'tallying' });
+        return data;
+    });
+    if (!market) return null;
+
+    let closed;
+    try {
+        closed = await closeJury(db, APP_ID, marketRef, market);
+    } catch (error) {
+        // Reopen so the close-juries job retries
+        await marketRef.update({ 'jury.status': 'open' });
+        throw error;
+    }
+    const { votes, ...result } = closed;
+
+    result.rewardedJurors = [];
+    if (result.applied) {
+        // Re-settled markets are re-scored now; pending ones are scored when their settlement finalizes
+        if (market.isSettled) {
+            await recordAgentOutcomes(db, APP_ID, marketRef, result.verdict, 'jury_resolved');
+        }
+        result.rewardedJurors = await rewardMajorityJurors(db, APP_ID, marketRef.id, votes, result.verdict);
+    }
+
+    result.bond = await settleDisputeBond(db, APP_ID, marketRef);
+    if (result.bond) {
+        console.log(`⚖️ Round ${result.bond.round} bond on ${marketRef.id} ${result.bond.bondResult}${result.bond.reward ? ` (+${result.bond.reward} reward)` : ''}, ${result.rewardedJurors.length} jurors rewarded`);
+    }
+    return result;
+}
+
+/**
+ * Close every open jury whose deadline has passed and settle any bond left
+ * unsettled by a failed close (close-juries job).
+ */
+export async function closeExpiredJuries(db, APP_ID, job = createJobContext()) {
+    const marketsRef = db.collection(dataPath(APP_ID, 'standard_markets'));
+    const snapshot = await marketsRef.where('status', '==', 'disputed').get();
+    const now = new Date();
+    const results = [];
+
+    for (const doc of snapshot.docs) {
+        const jury = doc.data().jury;
+        if (jury?.status !== 'open' || toDate(jury.deadline) > now) continue;
+        try {
+            const result = await finalizeJury(db, APP_ID, doc.ref);
+            if (result) {
+                job.touch(doc.id);
+                results.push({ marketId: doc.id, ...result });
+            }
+        } catch (error) {
+            console.error(`❌ Failed to close jury for ${doc.id}:`, error.message);
+            job.recordError(doc.id, error);
+        }
+    }
+
+    const openDisputes = await disputesCollection(db, APP_ID).where('status', '==', 'open').get();
+    for (const doc of openDisputes.docs) {
+        try {
+            const bond = await settleDisputeBond(db, APP_ID, marketsRef.doc(doc.id));
+            if (bond) {
+                job.touch(doc.id);
+                results.push({ marketId: doc.id, bond });
+            }
+        } catch (error) {
+            console.error(`❌ Failed to settle dispute bond for ${doc.id}:`, error.message);
+            job.recordError(doc.id, error);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * A market's dispute document ({ status, currentRound, rounds, appealDeadline }), or null.
+ */
+export async function getDispute(db, APP_ID, marketId) {
+    const snap = await disputesCollection(db, APP_ID).doc(marketId).get();
+    return snap.exists ? { id: snap.id, ...snap.data() } : null;
+}
@@ -0,0 +1,223 @@
+// =============================================================================
+// LEDGER - Double-entry history for every balance and XP movement
+// =============================================================================
+
+import crypto from 'crypto';
+
+export const LEDGER_REASONS = {
+    STAKE: 'stake',
+    PAYOUT: 'payout',
+    REFUND: 'refund',
+    FAUCET: 'faucet',
+    FEE: 'fee',
+    // Payout corrections when a jury overturns a settled outcome
+    RESETTLEMENT: 'resettlement',
+    // XP for jurors who voted with the majority
+    JURY_REWARD: 'jury_reward',
+    // Dispute bonds posted into escrow, then returned to the disputer or forfeited to the house
+    DISPUTE_BOND: 'dispute_bond',
+    // Paid on top of the returned bond when a dispute flips the outcome
+    DISPUTE_REWARD: 'dispute_reward',
+    // Seeds balances that existed before the ledger did (written by reconciliation)
+    OPENING: 'opening',
+    // A creator's liquidity seeding the pools of a market they create
+    LIQUIDITY: 'liquidity'
+};
+
+// System accounts on the other side of user movements
+export const SYSTEM_ACCOUNTS = {
+    FAUCET: 'system:faucet',
+    REWARDS: 'system:rewards',
+    HOUSE: 'system:house',
+    GENESIS: 'system:genesis'
+};
+
+// Profile fields the reconciliation job checks against the ledger
+export const BALANCE_FIELDS = ['balance', 'bnbBalance', 'cakeBalance'];
+
+export const LEDGER_CONFIG = {
+    // Differences smaller than this are float noise, not drift
+    driftTolerance: 0.0001
+};
+
+export function userAccount(userId) { return `user:${userId}`; }
+export function marketAccount(marketId) { return `market:${marketId}`; }
+export function pollAccount(pollId) { return `poll:${pollId}`; }
+export function disputeAccount(marketId) { return `dispute:${marketId}`; }
+
+function ledgerCollection(db, APP_ID) {
+    return db.collection(`artifacts/${APP_ID}/public/data/ledger_entries`);
+}
+
+function accountUserId(account) {
+    return account.startsWith('user:') ? account.slice('user:'.length) : null;
+}
+
+/**
+ * Record one movement as a debit/credit pair in `ledger_entries`.
+ * `writer` is the Firestore transaction or batch that applies the matching
+ * profile update, so the history and the balance change commit together.
+ *
+ * @param {FirebaseFirestore.Transaction|FirebaseFirestore.WriteBatch} writer
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} APP_ID
+ * @param {Object} transfer
+ * @param {string} transfer.from - account debited (e.g. user:<uid>, market:<id>, system:faucet)
+ * @param {string} transfer.to - account credited
+ * @param {string} transfer.field - profile field moved ('balance', 'bnbBalance', 'cakeBalance', 'xp')
+ * @param {number} transfer.amount - positive amount in the field's own unit
+ * @param {string} transfer.reason - one of LEDGER_REASONS
+ * @param {string} [transfer.refId] - market / poll / pledge the movement belongs to
+ * @param {string} [transfer.memo]
+ * @returns {string|null} transferId shared by both entries, or null when nothing moved
+ */
+export function recordTransfer(writer, db, APP_ID, { from, to, field, amount, reason, refId = null, memo = null }) {
+    if (!Number.isFinite(amount) || amount <= 0) return null;
+    if (!Object.values(LEDGER_REASONS).includes(reason)) {
+        throw new Error(`Unknown ledger reason "${reason}"`);
+    }
+
+    const transferId = crypto.randomUUID();
+    const createdAt = new Date();
+    const base = { transferId, field, reason, refId, memo, createdAt };
+
+    writer.set(ledgerCollection(db, APP_ID).doc(), {
+        ...base,
+        account: from,
+        counterparty: to,
+        userId: accountUserId(from),
+        direction: 'debit',
+        amount: -amount
+    });
+    writer.set(ledgerCollection(db, APP_ID).doc(), {
+        ...base,
+        account: to,
+        counterparty: from,
+        userId: accountUserId(to),
+        direction: 'credit',
+        amount
+    });
+
+    return transferId;
+}
+
+/**
+ * Page through a user's ledger entries, newest first.
+ * Needs a composite index on ledger_entries (userId ASC, createdAt DESC).
+ *
+ * @param {string} [cursor] - id of the last entry from the previous page
+ * @returns {{ entries: Object[], nextCursor: string|null }}
+ */
+export async function getUserLedger(db, APP_ID, userId, { limit = 25, cursor = null } = {}) {
+    let query = ledgerCollection(db, APP_ID)
+        .where('userId', '==', userId)
+        .orderBy('createdAt', 'desc')
+        .limit(limit);
+
+    if (cursor) {
+        const cursorSnap = await ledgerCollection(db, APP_ID).doc(cursor).get();
+        if (cursorSnap.exists && cursorSnap.data().userId === userId) {
+            query = query.startAfter(cursorSnap);
+        }
+    }
+
+    const snapshot = await query.get();
+    const entries = snapshot.docs.map(doc => {
+        const data = doc.data();
+        return {
+            id: doc.id,
+            ...data,
+            createdAt: data.createdAt?.toDate?.()?.toISOString() || data.createdAt
+        };
+    });
+
+    return {
+        entries,
+        nextCursor: snapshot.size === limit ? snapshot.docs[snapshot.size - 1].id : null
+    };
+}
+
+/**
+ * Recompute every profile's balances from the ledger and report drift.
+ * Profiles that predate the ledger get a one-off OPENING entry for whatever
+ * the ledger doesn't already explain, then are checked like everyone else.
+ * The run (with any drifts) is stored in `ledger_reconciliations` for admins.
+ */
+export async function reconcileBalances(db, APP_ID) {
+    const startedAt = new Date();
+    const [profilesSnap, entriesSnap] = await Promise.all([
+        db.collection(`artifacts/${APP_ID}/public/data/user_profile`).get(),
+        ledgerCollection(db, APP_ID).where('userId', '!=', null).get()
+    ]);
+
+    // userId -> { field: sum }
+    const ledgerTotals = new Map();
+    entriesSnap.forEach(doc => {
+        const { userId, field, amount } = doc.data();
+        if (!BALANCE_FIELDS.includes(field)) return;
+        if (!ledgerTotals.has(userId)) ledgerTotals.set(userId, {});
+        const totals = ledgerTotals.get(userId);
+        totals[field] = (totals[field] || 0) + (amount || 0);
+    });
+
+    const drifts = [];
+    let openedProfiles = 0;
+    let batch = db.batch();
+    let pendingWrites = 0;
+
+    for (const profileDoc of profilesSnap.docs) {
+        const profile = profileDoc.data();
+        const userId = profileDoc.id;
+        const totals = ledgerTotals.get(userId) || {};
+
+        if (!profile.ledgerOpenedAt) {
+            for (const field of BALANCE_FIELDS) {
+                const unexplained = (profile[field] || 0) - (totals[field] || 0);
+                if (unexplained > LEDGER_CONFIG.driftTolerance) {
+                    recordTransfer(batch, db, APP_ID, {
+                        from: SYSTEM_ACCOUNTS.GENESIS,
+                        to: userAccount(userId),
+                        field,
+                        amount: unexplained,
+                        reason: LEDGER_REASONS.OPENING
+                    });
+                    pendingWrites += 2;
+                }
+            }
+            batch.update(profileDoc.ref, { ledgerOpenedAt: startedAt });
+            pendingWrites++;
+            openedProfiles++;
+
+            // Stay well under Firestore's 500 writes per batch
+            if (pendingWrites >= 400) {
+                await batch.commit();
+                batch = db.batch();
+                pendingWrites = 0;
+            }
+            continue;
+        }
+
+        for (const field of BALANCE_FIELDS) {
+            const profileBalance = profile[field] || 0;
+            const ledgerBalance = totals[field] || 0;
+            const drift = profileBalance - ledgerBalance;
+            if (Math.abs(drift) > LEDGER_CONFIG.driftTolerance) {
+                drifts.push({ userId, field, profileBalance, ledgerBalance, drift });
+            }
+        }
+    }
+
+    if (pendingWrites > 0) await batch.commit();
+
+    const report = {
+        startedAt,
+        completedAt: new Date(),
+        profilesChecked: profilesSnap.size,
+        openedProfiles,
+        driftCount: drifts.length,
+        drifts
+    };
+    const reportRef = await db.collection(`artifacts/${APP_ID}/public/data/ledger_reconciliations`).add(report);
+
+    return { id: reportRef.id, ...report };
+}
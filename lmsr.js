@@ -0,0 +1,112 @@
+// =============================================================================
+// LMSR - Logarithmic market scoring rule pricing for share-based markets
+// =============================================================================
+//
+// Markets with `pricingMode: 'lmsr'` hold outstanding shares per outcome in
+// `lmsrShares` and a liquidity parameter `lmsrLiquidity` (b). Buying shares costs
+// C(q') - C(q) where C(q) = b * ln(sum(exp(q_i / b))); each winning share pays 1 USD.
+// The market maker's worst-case loss is b * ln(outcomes), which the creator's
+// liquidity funds.
+
+export const LMSR_CONFIG = {
+    defaultLiquidity: 1000,
+    minLiquidity: 10,
+    // Upper bound on shares a single trade may buy (keeps the cost search bounded)
+    maxSharesPerTrade: 1_000_000
+};
+
+export const LMSR_PRICING_MODE = 'lmsr';
+
+export function isLmsrMarket(market) {
+    return market?.pricingMode === LMSR_PRICING_MODE;
+}
+
+function getOutcomes(market) {
+    if (market.marketStructure === 'multi-option' || market.marketType === 'multi') {
+        return market.options || [];
+    }
+    return ['YES', 'NO'];
+}
+
+function getLiquidity(market) {
+    return market.lmsrLiquidity || LMSR_CONFIG.defaultLiquidity;
+}
+
+function getShareVector(market) {
+    const shares = market.lmsrShares || {};
+    return getOutcomes(market).map(outcome => shares[outcome] || 0);
+}
+
+// b * ln(sum(exp(q_i / b))) using log-sum-exp so large share counts don't overflow
+function costFunction(q, b) {
+    const max = Math.max(...q.map(qi => qi / b));
+    const sum = q.reduce((acc, qi) => acc + Math.exp(qi / b - max), 0);
+    return b * (max + Math.log(sum));
+}
+
+function priceVector(q, b) {
+    const max = Math.max(...q.map(qi => qi / b));
+    const weights = q.map(qi => Math.exp(qi / b - max));
+    const total = weights.reduce((acc, w) => acc + w, 0);
+    return weights.map(w => w / total);
+}
+
+// Current price (0-1) of every outcome, keyed by outcome name
+export function lmsrPrices(market) {
+    const outcomes = getOutcomes(market);
+    const prices = priceVector(getShareVector(market), getLiquidity(market));
+    return Object.fromEntries(outcomes.map((outcome, i) => [outcome, prices[i]]));
+}
+
+/**
+ * Cost in USD to trade `shares` of `outcome` (negative shares = sell).
+ * Returns prices before and after so callers can show slippage.
+ */
+export function lmsrQuote(market, outcome, shares) {
+    const outcomes = getOutcomes(market);
+    const index = outcomes.indexOf(outcome);
+    if (index === -1) {
+        throw new Error(`Invalid outcome "${outcome}" for LMSR market`);
+    }
+
+    const b = getLiquidity(market);
+    const before = getShareVector(market);
+    const after = [...before];
+    after[index] += shares;
+
+    const cost = costFunction(after, b) - costFunction(before, b);
+    const pricesBefore = priceVector(before, b);
+    const pricesAfter = priceVector(after, b);
+
+    return {
+        outcome,
+        shares,
+        cost,
+        averagePrice: shares !== 0 ? cost / shares : pricesBefore[index],
+        pricesBefore: Object.fromEntries(outcomes.map((o, i) => [o, pricesBefore[i]])),
+        pricesAfter: Object.fromEntries(outcomes.map((o, i) => [o, pricesAfter[i]])),
+        sharesAfter: Object.fromEntries(outcomes.map((o, i) => [o, after[i]]))
+    };
+}
+
+// Number of shares of `outcome` a USD budget buys (bisection - cost is monotonic in shares)
+export function lmsrSharesForCost(market, outcome, budget) {
+    let low = 0;
+    let high = Math.min(LMSR_CONFIG.maxSharesPerTrade, Math.max(1, budget) * 2);
+    // Grow the bracket until it costs more than the budget
+    while (lmsrQuote(market, outcome, high).cost < budget && high < LMSR_CONFIG.maxSharesPerTrade) {
+        high = Math.min(LMSR_CONFIG.maxSharesPerTrade, high * 2);
+    }
+    for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (lmsrQuote(market, outcome, mid).cost > budget) high = mid;
+        else low = mid;
+    }
+    return low;
+}
+
+// Initial share vector giving a binary market the requested YES probability (0-1)
+export function lmsrSeedShares(liquidity, yesProbability) {
+    const p = Math.min(0.99, Math.max(0.01, yesProbability));
+    return { YES: liquidity * Math.log(p / (1 - p)), NO: 0 };
+}
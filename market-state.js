@@ -0,0 +1,76 @@
+// =============================================================================
+// MARKET STATE - Deadlines and pool health read from market documents
+// =============================================================================
+//
+// Pure helpers shared by the oracle jobs and the routes. Market documents come in
+// several generations (AI-created, user-created, pre-resolvesAt), so every reader
+// goes through these instead of trusting one field.
+
+import { isLmsrMarket } from './lmsr.js';
+
+// Firestore Timestamp, Date, ISO string or serialized { _seconds } -> Date (null if invalid)
+export function toDateValue(value) {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    const seconds = value._seconds ?? value.seconds;
+    const date = seconds !== undefined ? new Date(seconds * 1000) : new Date(value);
+    return isNaN(date) ? null : date;
+}
+
+// AI duration ('90m', '24h', '45d') -> milliseconds, or null when malformed
+export function parseDurationMs(duration) {
+    const match = /^\s*(\d+)\s*([mhd])\s*$/i.exec(duration || '');
+    if (!match) return null;
+    const units = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    const ms = parseInt(match[1]) * units[match[2].toLowerCase()];
+    return ms > 0 ? ms : null;
+}
+
+// Precise instant a market becomes due for resolution. Documents from before
+// resolvesAt existed use createdAt + duration when they have one, else the start
+// of resolutionDate (UTC) - when the old date-only comparison made them eligible.
+export function getResolvesAt(market) {
+    const resolvesAt = toDateValue(market.resolvesAt);
+    if (resolvesAt) return resolvesAt;
+    const createdAt = toDateValue(market.createdAt);
+    const durationMs = parseDurationMs(market.duration);
+    if (createdAt && durationMs) return new Date(createdAt.getTime() + durationMs);
+    if (market.resolutionDate) {
+        const resolutionStart = new Date(market.resolutionDate);
+        if (!isNaN(resolutionStart)) return resolutionStart;
+    }
+    return null;
+}
+
+// When staking closes. A date-only stakingDeadline runs to the end of that UTC day,
+// a timestamp closes at that instant; without one, staking closes when the market
+// becomes due for resolution.
+export function getStakingClosesAt(market) {
+    if (market.stakingDeadline) {
+        const deadline = /^\d{4}-\d{2}-\d{2}$/.test(market.stakingDeadline)
+            ? new Date(`${market.stakingDeadline}T23:59:59.999Z`)
+            : toDateValue(market.stakingDeadline);
+        if (deadline && !isNaN(deadline)) return deadline;
+    }
+    return getResolvesAt(market);
+}
+
+// Whether an unresolved market is still open for staking past its deadline.
+// User-created markets from before they carried a status have none - treat as active.
+export function isStakingExpired(market, now = new Date()) {
+    if (market.isResolved) return false;
+    if (market.status && market.status !== 'active') return false;
+    const closesAt = getStakingClosesAt(market);
+    return !!closesAt && closesAt <= now;
+}
+
+// Whether a parimutuel market's YES/NO pools are missing or broken (0, NaN, Infinity)
+// and need rebuilding. LMSR markets price from lmsrShares and have no pools at all.
+export function needsPoolRepair(market) {
+    if (isLmsrMarket(market)) return false;
+    const yesPool = market.yesPool ?? 0;
+    const noPool = market.noPool ?? 0;
+    const totalPool = market.totalPool ?? 0;
+    return !Number.isFinite(yesPool) || !Number.isFinite(noPool) ||
+        !Number.isFinite(totalPool) || yesPool <= 0 || noPool <= 0 || totalPool <= 0;
+}
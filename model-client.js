@@ -0,0 +1,154 @@
+// =============================================================================
+// MODEL CLIENT - Injectable interface for the oracle's Gemini and search calls
+// =============================================================================
+//
+// The swarm agents, the oracle jobs (callGoogleApi) and content moderation talk
+// to the outside world only through a model client:
+//   generateText({ purpose, model, prompt, systemPrompt, generationConfig }) -> string
+//   generateContent({ purpose, payload }) -> Gemini REST response body
+//   search({ purpose, query }) -> DuckDuckGo instant-answer JSON
+// `purpose` names the caller ('gemini-research', 'duckduckgo', 'moderation', ...)
+// so recordings can be replayed per caller regardless of prompt wording.
+//
+// createLiveModelClient calls the real services. createRecordingModelClient wraps
+// a client and appends every call to a fixture file; createReplayModelClient
+// answers from such a file so the oracle can be tested offline.
+
+import fetch from 'node-fetch';
+import fs from 'fs';
+
+export const MODEL_CLIENT_CONFIG = {
+    defaultModel: 'gemini-2.5-pro',
+    searchUrl: 'https://api.duckduckgo.com/'
+};
+
+// True for anything implementing the model client interface (vs. a raw SDK client)
+export function isModelClient(client) {
+    return !!client && typeof client.generateText === 'function';
+}
+
+/**
+ * Client backed by the real services.
+ *
+ * @param {Object} options
+ * @param {Object} [options.geminiClient] - GoogleGenerativeAI instance for generateText
+ * @param {string} [options.geminiApiKey] - key for generateContent
+ * @param {string} [options.geminiUrl] - generateContent endpoint
+ * @param {boolean} [options.useBearerAuth=false] - send the key as a bearer token instead of ?key=
+ * @param {Function} [options.fetchImpl=fetch]
+ */
+export function createLiveModelClient({ geminiClient = null, geminiApiKey = null, geminiUrl = null, useBearerAuth = false, fetchImpl = fetch } = {}) {
+    return {
+        name: 'live',
+
+        async generateText({ model = MODEL_CLIENT_CONFIG.defaultModel, prompt, systemPrompt = '', generationConfig = {} }) {
+            if (!geminiClient) throw new Error('Gemini client not available');
+            const result = await geminiClient.getGenerativeModel({ model }).generateContent({
+                contents: [{ role: 'user', parts: [{ text: prompt }] }],
+                systemInstruction: systemPrompt,
+                generationConfig
+            });
+            return result.response.text();
+        },
+
+        async generateContent({ payload }) {
+            if (!geminiApiKey || !geminiUrl) {
+                const error = new Error('Gemini API key or URL not configured');
+                error.code = 'NOT_CONFIGURED';
+                throw error;
+            }
+            const url = useBearerAuth ? geminiUrl : `${geminiUrl}?key=${geminiApiKey}`;
+            const headers = { 'Content-Type': 'application/json' };
+            if (useBearerAuth) headers.Authorization = `Bearer ${geminiApiKey}`;
+
+            const response = await fetchImpl(url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(payload)
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(`Google API Error: ${data.error?.message || response.status}`);
+            }
+            return data;
+        },
+
+        async search({ query }) {
+            const response = await fetchImpl(`${MODEL_CLIENT_CONFIG.searchUrl}?q=${encodeURIComponent(query)}&format=json`);
+            return response.json();
+        }
+    };
+}
+
+function readFixture(path) {
+    return fs.existsSync(path) ? JSON.parse(fs.readFileSync(path, 'utf8')) : { calls: [] };
+}
+
+/**
+ * Wrap `client` so every call (and its response or error) is appended to the
+ * JSON fixture at `path` as { calls: [{ method, purpose, request, response | error }] }.
+ */
+export function createRecordingModelClient(client, path) {
+    const record = async (method, { purpose, ...request }) => {
+        const entry = { method, purpose, request };
+        try {
+            entry.response = await client[method]({ purpose, ...request });
+            return entry.response;
+        } catch (error) {
+            entry.error = error.message;
+            throw error;
+        } finally {
+            const fixture = readFixture(path);
+            fixture.calls.push({ ...entry, recordedAt: new Date().toISOString() });
+            fs.writeFileSync(path, JSON.stringify(fixture, null, 2));
+        }
+    };
+
+    return {
+        name: `recording:${client.name}`,
+        generateText: (request) => record('generateText', request),
+        generateContent: (request) => record('generateContent', request),
+        search: (request) => record('search', request)
+    };
+}
+
+/**
+ * Answer calls from a recorded fixture (path or parsed object). Calls are matched
+ * by method and purpose, in recorded order; an entry may also set `delayMs` to
+ * simulate a slow service or `error` to make the call throw. A call with no
+ * matching entry left throws, so an unexpected request fails loudly.
+ */
+export function createReplayModelClient(fixture) {
+    const { calls = [] } = typeof fixture === 'string' ? JSON.parse(fs.readFileSync(fixture, 'utf8')) : fixture;
+    const queues = new Map();
+    calls.forEach(call => {
+        const key = `${call.method}:${call.purpose}`;
+        if (!queues.has(key)) queues.set(key, []);
+        queues.get(key).push(call);
+    });
+
+    const replay = async (method, { purpose }) => {
+        const call = queues.get(`${method}:${purpose}`)?.shift();
+        if (!call) {
+            throw new Error(`No recorded ${method} response for "${purpose}"`);
+        }
+        if (call.delayMs) {
+            await new Promise(resolve => setTimeout(resolve, call.delayMs));
+        }
+        if (call.error) {
+            throw new Error(call.error);
+        }
+        return call.response;
+    };
+
+    return {
+        name: 'replay',
+        generateText: (request) => replay('generateText', request),
+        generateContent: (request) => replay('generateContent', request),
+        search: (request) => replay('search', request),
+        // Recorded calls that were never requested, e.g. to assert a scenario ran fully
+        remaining() {
+            return [...queues.values()].flat();
+        }
+    };
+}
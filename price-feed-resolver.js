@@ -0,0 +1,190 @@
+// =============================================================================
+// PRICE FEED RESOLVER - Deterministic resolution of crypto price-threshold markets
+// =============================================================================
+//
+// Markets with a `resolutionSpec` are settled from a price source instead of the
+// AI swarm. A spec looks like:
+//   { type: 'price-threshold', asset: 'BTC', comparator: '>', threshold: 100000,
+//     observationTime: <Date|ISO>, source: 'coingecko' }
+// The resolver reads the asset's USD price nearest the observation time from the
+// spec's source adapter and answers YES if `price <comparator> threshold`, else NO.
+
+import fetch from 'node-fetch';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+export const PRICE_FEED_CONFIG = {
+    // Asset symbol -> CoinGecko coin id
+    assets: {
+        BTC: 'bitcoin',
+        ETH: 'ethereum',
+        BNB: 'binancecoin',
+        SOL: 'solana',
+        CAKE: 'pancakeswap-token'
+    },
+    comparators: ['>', '>=', '<', '<='],
+    // A price point further than this from the observation time is not used
+    observationToleranceMs: 60 * 60 * 1000,
+    coinGeckoBaseUrl: 'https://api.coingecko.com/api/v3',
+    fixturePath: process.env.PRICE_FIXTURE_PATH || fileURLToPath(new URL('./fixtures/prices.json', import.meta.url)),
+    defaultSource: 'coingecko'
+};
+
+export const PRICE_THRESHOLD_SPEC = 'price-threshold';
+
+function toDate(value) {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    const seconds = value._seconds ?? value.seconds;
+    const date = seconds !== undefined ? new Date(seconds * 1000) : new Date(value);
+    return isNaN(date) ? null : date;
+}
+
+/**
+ * Validate a spec and return it normalized (upper-case asset, numeric threshold,
+ * Date observationTime). Throws with a readable message when it can't be evaluated.
+ */
+export function normalizeResolutionSpec(spec) {
+    if (!spec || typeof spec !== 'object') {
+        throw new Error('resolutionSpec must be an object');
+    }
+    const type = spec.type || PRICE_THRESHOLD_SPEC;
+    if (type !== PRICE_THRESHOLD_SPEC) {
+        throw new Error(`Unsupported resolutionSpec type "${type}"`);
+    }
+    const asset = String(spec.asset || '').toUpperCase();
+    if (!PRICE_FEED_CONFIG.assets[asset]) {
+        throw new Error(`Unsupported asset "${spec.asset}" (supported: ${Object.keys(PRICE_FEED_CONFIG.assets).join(', ')})`);
+    }
+    if (!PRICE_FEED_CONFIG.comparators.includes(spec.comparator)) {
+        throw new Error(`Unsupported comparator "${spec.comparator}" (supported: ${PRICE_FEED_CONFIG.comparators.join(' ')})`);
+    }
+    const threshold = Number(spec.threshold);
+    if (!Number.isFinite(threshold) || threshold <= 0) {
+        throw new Error('threshold must be a positive number');
+    }
+    const observationTime = toDate(spec.observationTime);
+    if (!observationTime) {
+        throw new Error('observationTime must be a valid date');
+    }
+    const source = spec.source || PRICE_FEED_CONFIG.defaultSource;
+    if (!PRICE_SOURCES[source]) {
+        throw new Error(`Unknown price source "${source}" (supported: ${Object.keys(PRICE_SOURCES).join(', ')})`);
+    }
+    return { type, asset, comparator: spec.comparator, threshold, observationTime, source };
+}
+
+export function compareToThreshold(price, comparator, threshold) {
+    switch (comparator) {
+        case '>': return price > threshold;
+        case '>=': return price >= threshold;
+        case '<': return price < threshold;
+        case '<=': return price <= threshold;
+        default: throw new Error(`Unsupported comparator "${comparator}"`);
+    }
+}
+
+// Point in [{ at: Date, price }] nearest `time`, or null when none is within tolerance
+function nearestPoint(points, time) {
+    let best = null;
+    for (const point of points) {
+        const distance = Math.abs(point.at - time);
+        if (distance <= PRICE_FEED_CONFIG.observationToleranceMs && (!best || distance < best.distance)) {
+            best = { ...point, distance };
+        }
+    }
+    return best;
+}
+
+// --- PRICE SOURCE ADAPTERS ---
+// An adapter exposes getPrice(asset, time) -> { price, observedAt, source, url }
+// and throws when no price near `time` is available (yet).
+
+export function createCoinGeckoAdapter({ fetchImpl = fetch, baseUrl = PRICE_FEED_CONFIG.coinGeckoBaseUrl } = {}) {
+    return {
+        name: 'coingecko',
+        async getPrice(asset, time) {
+            const coinId = PRICE_FEED_CONFIG.assets[asset];
+            const from = Math.floor((time.getTime() - PRICE_FEED_CONFIG.observationToleranceMs) / 1000);
+            const to = Math.ceil((time.getTime() + PRICE_FEED_CONFIG.observationToleranceMs) / 1000);
+            const url = `${baseUrl}/coins/${coinId}/market_chart/range?vs_currency=usd&from=${from}&to=${to}`;
+
+            const response = await fetchImpl(url);
+            if (!response.ok) {
+                throw new Error(`CoinGecko API error: ${response.status}`);
+            }
+            const data = await response.json();
+            const points = (data.prices || []).map(([ms, price]) => ({ at: new Date(ms), price }));
+            const point = nearestPoint(points, time);
+            if (!point) {
+                throw new Error(`No CoinGecko ${asset} price within ${PRICE_FEED_CONFIG.observationToleranceMs / 60000} minutes of ${time.toISOString()}`);
+            }
+            return { price: point.price, observedAt: point.at, source: 'coingecko', url };
+        }
+    };
+}
+
+/**
+ * Adapter backed by local data for tests and offline development.
+ * `fixtures` is { [asset]: [{ timestamp, price }] } or a path to a JSON file of that shape.
+ */
+export function createFixtureAdapter(fixtures = PRICE_FEED_CONFIG.fixturePath) {
+    let data = null;
+    const load = () => {
+        if (!data) {
+            data = typeof fixtures === 'string' ? JSON.parse(fs.readFileSync(fixtures, 'utf8')) : fixtures;
+        }
+        return data;
+    };
+    return {
+        name: 'fixture',
+        async getPrice(asset, time) {
+            const points = (load()[asset] || []).map(p => ({ at: new Date(p.timestamp), price: p.price }));
+            const point = nearestPoint(points, time);
+            if (!point) {
+                throw new Error(`No fixture ${asset} price near ${time.toISOString()}`);
+            }
+            return { price: point.price, observedAt: point.at, source: 'fixture', url: null };
+        }
+    };
+}
+
+const PRICE_SOURCES = {
+    coingecko: () => createCoinGeckoAdapter(),
+    fixture: () => createFixtureAdapter()
+};
+
+/**
+ * Evaluate a market's resolutionSpec. Returns a resolution shaped like
+ * swarmVerifyResolution's (outcome, confidence, rationale, sources, path) plus
+ * the observation used, or { pending: true } before the observation time.
+ *
+ * @param {Object} market - market document with resolutionSpec
+ * @param {Object} [adapters] - source name -> adapter, overriding the defaults
+ */
+export async function resolvePriceFeedMarket(market, adapters = {}, now = new Date()) {
+    const spec = normalizeResolutionSpec(market.resolutionSpec);
+    if (spec.observationTime > now) {
+        return { pending: true, spec };
+    }
+
+    const adapter = adapters[spec.source] || PRICE_SOURCES[spec.source]();
+    const observation = await adapter.getPrice(spec.asset, spec.observationTime);
+    const isMet = compareToThreshold(observation.price, spec.comparator, spec.threshold);
+    const outcome = isMet ? 'YES' : 'NO';
+
+    return {
+        outcome,
+        confidence: 100,
+        rationale: `${spec.asset} was $${observation.price.toLocaleString('en-US', { maximumFractionDigits: 2 })} at ${observation.observedAt.toISOString()} (${spec.source}), ${isMet ? '' : 'not '}${spec.comparator} $${spec.threshold.toLocaleString('en-US')}.`,
+        sources: [observation.url].filter(Boolean),
+        path: 'price-feed',
+        spec: { ...spec, observationTime: spec.observationTime.toISOString() },
+        observation: {
+            price: observation.price,
+            observedAt: observation.observedAt.toISOString(),
+            source: observation.source
+        },
+        timestamp: new Date().toISOString()
+    };
+}
@@ -0,0 +1,180 @@
+// =============================================================================
+// PRICE HISTORY - Odds snapshots per market and OHLC bucketing
+// =============================================================================
+//
+// Every stake, cash-out and resolution appends a snapshot to the market's
+// `price_history` subcollection: odds per outcome before and after the event,
+// total pool and cumulative volume. GET /api/markets/:id/history buckets them.
+
+import { isLmsrMarket, lmsrPrices } from './lmsr.js';
+
+export const PRICE_HISTORY_CONFIG = {
+    defaultInterval: '1h',
+    // Oldest buckets are dropped beyond this so one request stays small
+    maxBuckets: 500
+};
+
+const INTERVAL_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function isMultiOption(marketData) {
+    return marketData.marketStructure === 'multi-option' || marketData.marketType === 'multi';
+}
+
+/**
+ * Current odds (percent) per outcome.
+ * Binary: from totalYesStake/totalNoStake (or yesPool/noPool), clamped to 0.1-99.9.
+ * Multi-option: from optionAmounts. LMSR markets: from the market maker's prices.
+ */
+export function computeMarketOdds(marketData) {
+    if (isLmsrMarket(marketData)) {
+        return Object.fromEntries(Object.entries(lmsrPrices(marketData)).map(([outcome, price]) => [outcome, price * 100]));
+    }
+    if (isMultiOption(marketData)) {
+        const options = marketData.options || [];
+        const optionAmounts = marketData.optionAmounts || {};
+        const totalPool = options.reduce((sum, opt) => sum + (optionAmounts[opt] || 0), 0);
+        return options.reduce((acc, opt) => {
+            acc[opt] = totalPool > 0
+                ? Math.min(100, Math.max(0, ((optionAmounts[opt] || 0) / totalPool) * 100))
+                : 100 / options.length;
+            return acc;
+        }, {});
+    }
+    const totalYesStake = marketData.totalYesStake || marketData.yesPool || 0;
+    const totalNoStake = marketData.totalNoStake || marketData.noPool || 0;
+    const totalStaked = totalYesStake + totalNoStake;
+    // Clamp percentages to prevent 0%/100% display issues
+    return {
+        YES: totalStaked > 0 ? Math.max(0.1, Math.min(99.9, (totalYesStake / totalStaked) * 100)) : 50,
+        NO: totalStaked > 0 ? Math.max(0.1, Math.min(99.9, (totalNoStake / totalStaked) * 100)) : 50
+    };
+}
+
+/**
+ * Append a snapshot to marketRef/price_history through the transaction or batch
+ * that applies the market change.
+ *
+ * @param {FirebaseFirestore.Transaction|FirebaseFirestore.WriteBatch} writer
+ * @param {FirebaseFirestore.DocumentReference} marketRef
+ * @param {Object} snapshot
+ * @param {string} snapshot.event - 'stake' | 'cash-out' | 'resolution' | 'void'
+ * @param {Object} snapshot.oddsBefore - percent per outcome before the event
+ * @param {Object} snapshot.odds - percent per outcome after the event
+ * @param {number} snapshot.totalPool
+ * @param {number} snapshot.volume - cumulative stake volume (USD)
+ * @param {number} [snapshot.tradeUsd] - USD moved by this event
+ */
+export function recordPriceSnapshot(writer, marketRef, { event, oddsBefore, odds, totalPool, volume, tradeUsd = 0 }) {
+    writer.set(marketRef.collection('price_history').doc(), {
+        event,
+        oddsBefore: oddsBefore || odds,
+        odds,
+        totalPool: totalPool || 0,
+        volume: volume || 0,
+        tradeUsd,
+        timestamp: new Date()
+    });
+}
+
+// '15m' / '1h' / '1d' -> milliseconds (null if malformed)
+export function parseInterval(interval) {
+    const match = /^(\d+)([mhd])$/.exec(interval || '');
+    if (!match) return null;
+    const ms = parseInt(match[1]) * INTERVAL_UNITS[match[2]];
+    return ms > 0 ? ms : null;
+}
+
+function toDate(value) {
+    return value?.toDate?.() || new Date(value);
+}
+
+/**
+ * Group snapshots (sorted by time) into OHLC buckets of `intervalMs`.
+ * Each bucket opens at the pre-trade odds of its first event (or the previous
+ * close) and empty buckets carry the previous close forward so charts stay continuous.
+ */
+export function bucketPriceHistory(snapshots, intervalMs, { from, to = new Date() } = {}) {
+    if (snapshots.length === 0) return [];
+
+    const points = snapshots.map(s => ({ ...s, timestamp: toDate(s.timestamp) }));
+    const outcomes = Object.keys(points[points.length - 1].odds || {});
+    let start = Math.floor((from ? from.getTime() : points[0].timestamp.getTime()) / intervalMs) * intervalMs;
+    const end = to.getTime();
+
+    // Keep the most recent buckets when the range is too long
+    const maxStart = Math.floor(end / intervalMs) * intervalMs - (PRICE_HISTORY_CONFIG.maxBuckets - 1) * intervalMs;
+    if (start < maxStart) start = maxStart;
+
+    // Close as of the range start: last snapshot before it, else the first pre-trade odds
+    let index = 0;
+    let lastClose = points[0].oddsBefore || points[0].odds;
+    let lastPool = 0;
+    let lastVolume = 0;
+    while (index < points.length && points[index].timestamp.getTime() < start) {
+        lastClose = points[index].odds;
+        lastPool = points[index].totalPool;
+        lastVolume = points[index].volume;
+        index++;
+    }
+
+    const buckets = [];
+    for (let bucketStart = start; bucketStart <= end; bucketStart += intervalMs) {
+        const bucketEnd = bucketStart + intervalMs;
+        const ohlc = {};
+        outcomes.forEach(outcome => {
+            const value = lastClose[outcome] ?? 0;
+            ohlc[outcome] = { open: value, high: value, low: value, close: value };
+        });
+
+        let trades = 0;
+        let volumeUsd = 0;
+        while (index < points.length && points[index].timestamp.getTime() < bucketEnd) {
+            const point = points[index];
+            if (trades === 0 && point.oddsBefore) {
+                outcomes.forEach(outcome => {
+                    const open = point.oddsBefore[outcome] ?? ohlc[outcome].open;
+                    ohlc[outcome] = { open, high: open, low: open, close: open };
+                });
+            }
+            outcomes.forEach(outcome => {
+                const value = point.odds[outcome] ?? ohlc[outcome].close;
+                ohlc[outcome].high = Math.max(ohlc[outcome].high, value);
+                ohlc[outcome].low = Math.min(ohlc[outcome].low, value);
+                ohlc[outcome].close = value;
+            });
+            trades++;
+            volumeUsd += point.tradeUsd || 0;
+            lastClose = point.odds;
+            lastPool = point.totalPool;
+            lastVolume = point.volume;
+            index++;
+        }
+
+        buckets.push({
+            start: new Date(bucketStart).toISOString(),
+            end: new Date(bucketEnd).toISOString(),
+            odds: ohlc,
+            trades,
+            volumeUsd,
+            totalPool: lastPool,
+            cumulativeVolume: lastVolume
+        });
+    }
+
+    return buckets;
+}
+
+/**
+ * Load a market's snapshots and bucket them.
+ * Returns the opening odds (before the first recorded event) alongside the buckets.
+ */
+export async function getPriceHistory(marketRef, { intervalMs, from = null, to = new Date() }) {
+    const snapshot = await marketRef.collection('price_history').orderBy('timestamp', 'asc').get();
+    const snapshots = snapshot.docs.map(doc => doc.data());
+
+    return {
+        opening: snapshots.length > 0 ? (snapshots[0].oddsBefore || snapshots[0].odds) : null,
+        snapshotCount: snapshots.length,
+        buckets: bucketPriceHistory(snapshots, intervalMs, { from, to })
+    };
+}
@@ -0,0 +1,600 @@
+// =============================================================================
+// SETTLEMENT ENGINE - Shared payout logic for every market resolution path
+// =============================================================================
+
+import admin from 'firebase-admin';
+import { recordTransfer, LEDGER_REASONS, SYSTEM_ACCOUNTS, userAccount, marketAccount } from './ledger.js';
+import { computeMarketOdds, recordPriceSnapshot } from './price-history.js';
+
+export const SETTLEMENT_CONFIG = {
+    WIN_XP: 50,
+    LOSS_XP: 10,
+    // Proposed outcomes wait this long for a dispute before payouts go out (0 = settle at once)
+    DISPUTE_WINDOW_MINUTES: parseInt(process.env.DISPUTE_WINDOW_MINUTES ?? '30')
+};
+
+export const VOID_OUTCOME = 'VOID';
+
+// Profile field holding the balance for an asset
+export function getBalanceField(asset) { return asset === 'BNB' ? 'bnbBalance' : asset === 'CAKE' ? 'cakeBalance' : 'balance'; }
+
+// Stake value of a pledge in USD (older pledges only stored `amount`)
+export function getPledgeStakeUsd(pledge) {
+    return pledge.amountUsd || pledge.amount || 0;
+}
+
+// Outcome a pledge backed (multi-option pledges also carry optionLabel)
+export function getPledgePick(pledge) {
+    return pledge.optionLabel || pledge.pick;
+}
+
+// Validate a winning outcome against the market structure
+export function isValidOutcome(market, outcome) {
+    if (market.marketStructure === 'multi-option' || market.marketType === 'multi') {
+        return Array.isArray(market.options) && market.options.includes(outcome);
+    }
+    return outcome === 'YES' || outcome === 'NO';
+}
+
+/**
+ * Proportional payouts for binary and multi-option markets.
+ * Winners receive: stake + (stake / totalWinningStake) * losingPool
+ * For multi-option markets the losing pool is every other option's stakes combined.
+ * LMSR pledges (pricingMode 'lmsr') are share positions and pay 1 USD per winning share.
+ */
+export function computePayouts(pledges, winningOutcome) {
+    let totalWinningStakeUsd = 0;
+    let totalLosingStakeUsd = 0;
+    const outcomeStakes = {};
+
+    for (const pledge of pledges) {
+        const stakeUsd = getPledgeStakeUsd(pledge);
+        const pick = getPledgePick(pledge);
+        outcomeStakes[pick] = (outcomeStakes[pick] || 0) + stakeUsd;
+        if (pick === winningOutcome) {
+            totalWinningStakeUsd += stakeUsd;
+        } else {
+            totalLosingStakeUsd += stakeUsd;
+        }
+    }
+
+    const results = pledges.map(pledge => {
+        const stakeUsd = getPledgeStakeUsd(pledge);
+        const isWinner = getPledgePick(pledge) === winningOutcome;
+        if (pledge.pricingMode === 'lmsr') {
+            return { pledge, stakeUsd, isWinner, payout: isWinner ? (pledge.shares || 0) : 0 };
+        }
+        const stakeShare = isWinner && totalWinningStakeUsd > 0 ? stakeUsd / totalWinningStakeUsd : 0;
+        return {
+            pledge,
+            stakeUsd,
+            isWinner,
+            payout: isWinner ? stakeUsd + stakeShare * totalLosingStakeUsd : 0
+        };
+    });
+
+    return { results, totalWinningStakeUsd, totalLosingStakeUsd, outcomeStakes };
+}
+
+// True when a proposed outcome's dispute window has closed with no dispute under way
+export function isReadyToFinalize(market, now = new Date()) {
+    if (market.isSettled || market.settlementStatus !== 'pending') return false;
+    if (market.status === 'disputed' || ['open', 'tallying'].includes(market.jury?.status)) return false;
+    const windowEnd = market.disputeWindowEndsAt?.toDate?.() || (market.disputeWindowEndsAt ? new Date(market.disputeWindowEndsAt) : null);
+    return !windowEnd || windowEnd <= now;
+}
+
+/**
+ * Resolve a market on `winningOutcome` without paying out yet: the outcome is shown
+ * as resolved with `settlementStatus: 'pending'` and a dispute window opens.
+ * finalizeSettlement pays out once the window closes undisputed. Proposing again
+ * while pending replaces the outcome and restarts the window. With a zero-minute
+ * window the market settles at once. A market under dispute is refused (status 409)
+ * unless the proposal is the jury's own verdict (`juryVerdict: true`).
+ *
+ * @returns {Object} { alreadySettled, pending, marketId, outcome, disputeWindowEndsAt } -
+ *   or settleMarket's result when there is no window
+ */
+export async function proposeSettlement(db, APP_ID, marketRef, winningOutcome, resolutionFields = {}, { windowMinutes = SETTLEMENT_CONFIG.DISPUTE_WINDOW_MINUTES, juryVerdict = false } = {}) {
+    if (!(windowMinutes > 0)) {
+        return settleMarket(db, APP_ID, marketRef, winningOutcome, resolutionFields);
+    }
+
+    return db.runTransaction(async (transaction) => {
+        const marketSnap = await transaction.get(marketRef);
+        if (!marketSnap.exists) {
+            throw new Error(`Market ${marketRef.id} not found`);
+        }
+
+        const market = marketSnap.data();
+        if (market.isSettled) {
+            return { alreadySettled: true, marketId: marketRef.id, outcome: market.winningOutcome, userIds: [] };
+        }
+        if (!juryVerdict && (market.status === 'disputed' || ['open', 'tallying'].includes(market.jury?.status))) {
+            const error = new Error(`Market ${marketRef.id} is under dispute - the jury decides its outcome`);
+            error.status = 409;
+            throw error;
+        }
+        if (!isValidOutcome(market, winningOutcome)) {
+            throw new Error(`Invalid outcome "${winningOutcome}" for market ${marketRef.id}`);
+        }
+
+        const now = new Date();
+        const disputeWindowEndsAt = new Date(now.getTime() + windowMinutes * 60 * 1000);
+        transaction.update(marketRef, {
+            isResolved: true,
+            winningOutcome,
+            resolvedAt: now,
+            status: 'resolved',
+            settlementStatus: 'pending',
+            disputeWindowEndsAt,
+            canBeDisputed: true,
+            ...resolutionFields
+        });
+
+        return { alreadySettled: false, pending: true, marketId: marketRef.id, outcome: winningOutcome, disputeWindowEndsAt, userIds: [] };
+    });
+}
+
+/**
+ * Pay out a proposed outcome whose dispute window has closed. A market that was
+ * disputed, re-proposed or settled in the meantime is left alone ({ deferred: true }).
+ */
+export async function finalizeSettlement(db, APP_ID, marketRef) {
+    const marketSnap = await marketRef.get();
+    if (!marketSnap.exists) {
+        throw new Error(`Market ${marketRef.id} not found`);
+    }
+    return settleMarket(db, APP_ID, marketRef, marketSnap.data().winningOutcome, {}, { finalizing: true });
+}
+
+/**
+ * Settle a market: pay winners, mark pledges, update profile/leaderboard stats and
+ * resolve the market in one Firestore transaction. Idempotent - a market already
+ * marked `isSettled` is returned untouched, so re-runs never double-pay.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} APP_ID
+ * @param {FirebaseFirestore.DocumentReference} marketRef
+ * @param {string} winningOutcome - 'YES' / 'NO' or one of market.options
+ * @param {Object} resolutionFields - extra fields stored on the market (resolutionMethod, swarmConfidence...)
+ * @param {Object} [options]
+ * @param {boolean} [options.finalizing=false] - only settle a pending proposal of `winningOutcome` that isReadyToFinalize
+ */
+export async function settleMarket(db, APP_ID, marketRef, winningOutcome, resolutionFields = {}, { finalizing = false } = {}) {
+    const pledgesRef = db.collection(`artifacts/${APP_ID}/public/data/pledges`);
+    const profilesPath = `artifacts/${APP_ID}/public/data/user_profile`;
+    const leaderboardPath = `artifacts/${APP_ID}/public/data/leaderboard`;
+
+    return db.runTransaction(async (transaction) => {
+        // --- READS ---
+        const marketSnap = await transaction.get(marketRef);
+        if (!marketSnap.exists) {
+            throw new Error(`Market ${marketRef.id} not found`);
+        }
+
+        const market = marketSnap.data();
+        if (market.isSettled) {
+            return {
+                alreadySettled: true,
+                marketId: marketRef.id,
+                outcome: market.winningOutcome,
+                userIds: []
+            };
+        }
+
+        if (finalizing && (market.winningOutcome !== winningOutcome || !isReadyToFinalize(market))) {
+            return { alreadySettled: false, deferred: true, marketId: marketRef.id, outcome: market.winningOutcome, userIds: [] };
+        }
+
+        if (!isValidOutcome(market, winningOutcome)) {
+            throw new Error(`Invalid outcome "${winningOutcome}" for market ${marketRef.id}`);
+        }
+
+        const pledgeSnaps = await transaction.get(pledgesRef.where('marketId', '==', marketRef.id));
+        // Skip pledges that were already paid out by a legacy resolution path
+        const pledges = pledgeSnaps.docs
+            .map(doc => ({ id: doc.id, ref: doc.ref, ...doc.data() }))
+            .filter(pledge => !pledge.isResolved);
+
+        const { results, totalWinningStakeUsd, totalLosingStakeUsd, outcomeStakes } = computePayouts(pledges, winningOutcome);
+
+        // Aggregate per user so each profile is written once
+        const userStatsMap = new Map();
+        for (const { pledge, isWinner, payout, stakeUsd } of results) {
+            if (!pledge.userId) continue;
+            if (!userStatsMap.has(pledge.userId)) {
+                userStatsMap.set(pledge.userId, { wins: 0, losses: 0, payout: 0, staked: 0 });
+            }
+            const stats = userStatsMap.get(pledge.userId);
+            if (isWinner) stats.wins++;
+            else stats.losses++;
+            stats.payout += payout;
+            stats.staked += stakeUsd;
+        }
+
+        const userIds = [...userStatsMap.keys()];
+        const profileSnaps = await Promise.all(
+            userIds.map(userId => transaction.get(db.collection(profilesPath).doc(userId)))
+        );
+
+        // --- WRITES ---
+        const now = new Date();
+
+        for (const { pledge, isWinner, payout } of results) {
+            transaction.update(pledge.ref, {
+                isResolved: true,
+                didWin: isWinner,
+                isWinner,
+                payout,
+                status: isWinner ? 'won' : 'lost',
+                resolvedAt: now
+            });
+        }
+
+        profileSnaps.forEach((profileSnap, i) => {
+            if (!profileSnap.exists) return;
+            const userId = userIds[i];
+            const stats = userStatsMap.get(userId);
+            const hasMoreWins = stats.wins > stats.losses;
+
+            const xpAward = hasMoreWins ? SETTLEMENT_CONFIG.WIN_XP : SETTLEMENT_CONFIG.LOSS_XP;
+            const updates = {
+                xp: admin.firestore.FieldValue.increment(xpAward),
+                totalWins: admin.firestore.FieldValue.increment(stats.wins),
+                totalLosses: admin.firestore.FieldValue.increment(stats.losses),
+                totalProfit: admin.firestore.FieldValue.increment(stats.payout),
+                streak: hasMoreWins ? (profileSnap.data().streak || 0) + 1 : 0
+            };
+            if (stats.payout > 0) {
+                updates.balance = admin.firestore.FieldValue.increment(stats.payout);
+            }
+            transaction.update(profileSnap.ref, updates);
+
+            recordTransfer(transaction, db, APP_ID, {
+                from: marketAccount(marketRef.id),
+                to: userAccount(userId),
+                field: 'balance',
+                amount: stats.payout,
+                reason: LEDGER_REASONS.PAYOUT,
+                refId: marketRef.id
+            });
+            recordTransfer(transaction, db, APP_ID, {
+                from: SYSTEM_ACCOUNTS.REWARDS,
+                to: userAccount(userId),
+                field: 'xp',
+                amount: xpAward,
+                reason: LEDGER_REASONS.PAYOUT,
+                refId: marketRef.id
+            });
+
+            // Public leaderboard (exclude balance)
+            const publicUpdates = { ...updates };
+            delete publicUpdates.balance;
+            transaction.set(db.collection(leaderboardPath).doc(userId), publicUpdates, { merge: true });
+        });
+
+        const settlementSummary = {
+            winningOutcome,
+            totalWinningStakeUsd,
+            totalLosingStakeUsd,
+            outcomeStakes,
+            totalPaidUsd: results.reduce((sum, r) => sum + r.payout, 0),
+            winners: results.filter(r => r.isWinner).length,
+            losers: results.filter(r => !r.isWinner).length
+        };
+
+        // Final price point: the winning outcome is worth 100%
+        const oddsBefore = computeMarketOdds(market);
+        recordPriceSnapshot(transaction, marketRef, {
+            event: 'resolution',
+            oddsBefore,
+            odds: Object.fromEntries(Object.keys(oddsBefore).map(outcome => [outcome, outcome === winningOutcome ? 100 : 0])),
+            totalPool: market.totalPool || 0,
+            volume: market.totalStakeVolume || 0
+        });
+
+        transaction.update(marketRef, {
+            isResolved: true,
+            winningOutcome,
+            // A finalized proposal keeps the time it was resolved
+            resolvedAt: market.settlementStatus === 'pending' && market.resolvedAt ? market.resolvedAt : now,
+            status: 'resolved',
+            isSettled: true,
+            settledAt: now,
+            settlementStatus: 'settled',
+            settlementSummary,
+            ...resolutionFields
+        });
+
+        return {
+            alreadySettled: false,
+            marketId: marketRef.id,
+            outcome: winningOutcome,
+            userIds,
+            ...settlementSummary
+        };
+    });
+}
+
+/**
+ * Re-settle a settled market on a different outcome (a jury overturning the oracle).
+ * Every pledge the first settlement paid or marked lost is recomputed with
+ * computePayouts for the new outcome and each user's balance, win/loss totals and
+ * settlement XP are moved by the difference in one transaction. A clawback can leave
+ * a balance negative when the user already spent the first payout.
+ *
+ * Returns { unchanged: true } when the market is already settled on `winningOutcome`.
+ * Voided and unsettled markets are rejected - unsettled ones go through settleMarket.
+ */
+export async function resettleMarket(db, APP_ID, marketRef, winningOutcome, resolutionFields = {}) {
+    const pledgesRef = db.collection(`artifacts/${APP_ID}/public/data/pledges`);
+    const profilesPath = `artifacts/${APP_ID}/public/data/user_profile`;
+    const leaderboardPath = `artifacts/${APP_ID}/public/data/leaderboard`;
+
+    return db.runTransaction(async (transaction) => {
+        // --- READS ---
+        const marketSnap = await transaction.get(marketRef);
+        if (!marketSnap.exists) {
+            throw new Error(`Market ${marketRef.id} not found`);
+        }
+
+        const market = marketSnap.data();
+        if (!market.isSettled) {
+            throw new Error(`Market ${marketRef.id} is not settled yet`);
+        }
+        if (market.winningOutcome === VOID_OUTCOME) {
+            throw new Error(`Market ${marketRef.id} was voided and cannot be re-settled`);
+        }
+        if (market.winningOutcome === winningOutcome) {
+            return { unchanged: true, marketId: marketRef.id, outcome: winningOutcome, userIds: [] };
+        }
+        if (!isValidOutcome(market, winningOutcome)) {
+            throw new Error(`Invalid outcome "${winningOutcome}" for market ${marketRef.id}`);
+        }
+
+        // Only the pledges the previous settlement decided (not cash-outs or refunds)
+        const pledgeSnaps = await transaction.get(pledgesRef.where('marketId', '==', marketRef.id));
+        const pledges = pledgeSnaps.docs
+            .map(doc => ({ id: doc.id, ref: doc.ref, ...doc.data() }))
+            .filter(pledge => pledge.status === 'won' || pledge.status === 'lost');
+
+        const { results, totalWinningStakeUsd, totalLosingStakeUsd, outcomeStakes } = computePayouts(pledges, winningOutcome);
+
+        // Per-user old vs new settlement stats
+        const userStatsMap = new Map();
+        for (const { pledge, isWinner, payout } of results) {
+            if (!pledge.userId) continue;
+            if (!userStatsMap.has(pledge.userId)) {
+                userStatsMap.set(pledge.userId, { oldWins: 0, oldLosses: 0, oldPayout: 0, wins: 0, losses: 0, payout: 0 });
+            }
+            const stats = userStatsMap.get(pledge.userId);
+            if (pledge.status === 'won') stats.oldWins++;
+            else stats.oldLosses++;
+            stats.oldPayout += pledge.payout || 0;
+            if (isWinner) stats.wins++;
+            else stats.losses++;
+            stats.payout += payout;
+        }
+
+        const userIds = [...userStatsMap.keys()];
+        const profileSnaps = await Promise.all(
+            userIds.map(userId => transaction.get(db.collection(profilesPath).doc(userId)))
+        );
+
+        // --- WRITES ---
+        const now = new Date();
+
+        for (const { pledge, isWinner, payout } of results) {
+            transaction.update(pledge.ref, {
+                didWin: isWinner,
+                isWinner,
+                payout,
+                status: isWinner ? 'won' : 'lost',
+                resettledAt: now
+            });
+        }
+
+        profileSnaps.forEach((profileSnap, i) => {
+            if (!profileSnap.exists) return;
+            const userId = userIds[i];
+            const stats = userStatsMap.get(userId);
+            const payoutDelta = stats.payout - stats.oldPayout;
+            const xpFor = (wins, losses) => wins > losses ? SETTLEMENT_CONFIG.WIN_XP : SETTLEMENT_CONFIG.LOSS_XP;
+            const xpDelta = xpFor(stats.wins, stats.losses) - xpFor(stats.oldWins, stats.oldLosses);
+
+            const updates = {
+                xp: admin.firestore.FieldValue.increment(xpDelta),
+                totalWins: admin.firestore.FieldValue.increment(stats.wins - stats.oldWins),
+                totalLosses: admin.firestore.FieldValue.increment(stats.losses - stats.oldLosses),
+                totalProfit: admin.firestore.FieldValue.increment(payoutDelta)
+            };
+            if (payoutDelta !== 0) {
+                updates.balance = admin.firestore.FieldValue.increment(payoutDelta);
+            }
+            transaction.update(profileSnap.ref, updates);
+
+            // Corrections go market -> user for extra payout, user -> market for clawbacks
+            recordTransfer(transaction, db, APP_ID, {
+                from: payoutDelta > 0 ? marketAccount(marketRef.id) : userAccount(userId),
+                to: payoutDelta > 0 ? userAccount(userId) : marketAccount(marketRef.id),
+                field: 'balance',
+                amount: Math.abs(payoutDelta),
+                reason: LEDGER_REASONS.RESETTLEMENT,
+                refId: marketRef.id
+            });
+            recordTransfer(transaction, db, APP_ID, {
+                from: xpDelta > 0 ? SYSTEM_ACCOUNTS.REWARDS : userAccount(userId),
+                to: xpDelta > 0 ? userAccount(userId) : SYSTEM_ACCOUNTS.REWARDS,
+                field: 'xp',
+                amount: Math.abs(xpDelta),
+                reason: LEDGER_REASONS.RESETTLEMENT,
+                refId: marketRef.id
+            });
+
+            const publicUpdates = { ...updates };
+            delete publicUpdates.balance;
+            transaction.set(db.collection(leaderboardPath).doc(userId), publicUpdates, { merge: true });
+        });
+
+        const settlementSummary = {
+            winningOutcome,
+            totalWinningStakeUsd,
+            totalLosingStakeUsd,
+            outcomeStakes,
+            totalPaidUsd: results.reduce((sum, r) => sum + r.payout, 0),
+            winners: results.filter(r => r.isWinner).length,
+            losers: results.filter(r => !r.isWinner).length
+        };
+
+        // Final price point moves from the old winner to the new one
+        const outcomes = Object.keys(computeMarketOdds(market));
+        recordPriceSnapshot(transaction, marketRef, {
+            event: 'resolution',
+            oddsBefore: Object.fromEntries(outcomes.map(outcome => [outcome, outcome === market.winningOutcome ? 100 : 0])),
+            odds: Object.fromEntries(outcomes.map(outcome => [outcome, outcome === winningOutcome ? 100 : 0])),
+            totalPool: market.totalPool || 0,
+            volume: market.totalStakeVolume || 0
+        });
+
+        transaction.update(marketRef, {
+            winningOutcome,
+            previousWinningOutcome: market.winningOutcome,
+            resettledAt: now,
+            settlementSummary,
+            ...resolutionFields
+        });
+
+        return {
+            unchanged: false,
+            marketId: marketRef.id,
+            outcome: winningOutcome,
+            previousOutcome: market.winningOutcome,
+            userIds,
+            ...settlementSummary
+        };
+    });
+}
+
+/**
+ * Void a market: refund every unresolved pledge in the asset it was staked with and
+ * resolve the market as VOID in one transaction. Shares the `isSettled` guard with
+ * settleMarket, so a market is either paid out or refunded - never both.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} APP_ID
+ * @param {FirebaseFirestore.DocumentReference} marketRef
+ * @param {string} reason - why the market was voided (stored as voidReason)
+ * @param {Object} resolutionFields - extra fields stored on the market
+ */
+export async function voidMarket(db, APP_ID, marketRef, reason, resolutionFields = {}) {
+    const pledgesRef = db.collection(`artifacts/${APP_ID}/public/data/pledges`);
+    const profilesPath = `artifacts/${APP_ID}/public/data/user_profile`;
+
+    return db.runTransaction(async (transaction) => {
+        // --- READS ---
+        const marketSnap = await transaction.get(marketRef);
+        if (!marketSnap.exists) {
+            throw new Error(`Market ${marketRef.id} not found`);
+        }
+
+        const market = marketSnap.data();
+        if (market.isSettled) {
+            return {
+                alreadySettled: true,
+                marketId: marketRef.id,
+                outcome: market.winningOutcome,
+                userIds: []
+            };
+        }
+
+        const pledgeSnaps = await transaction.get(pledgesRef.where('marketId', '==', marketRef.id));
+        const pledges = pledgeSnaps.docs
+            .map(doc => ({ id: doc.id, ref: doc.ref, ...doc.data() }))
+            .filter(pledge => !pledge.isResolved);
+
+        // Refund totals per user per balance field (original asset, not USD)
+        const refundsByUser = new Map();
+        for (const pledge of pledges) {
+            if (!pledge.userId) continue;
+            if (!refundsByUser.has(pledge.userId)) refundsByUser.set(pledge.userId, {});
+            const refunds = refundsByUser.get(pledge.userId);
+            const balanceField = getBalanceField(pledge.asset);
+            refunds[balanceField] = (refunds[balanceField] || 0) + (pledge.amount || 0);
+        }
+
+        const userIds = [...refundsByUser.keys()];
+        const profileSnaps = await Promise.all(
+            userIds.map(userId => transaction.get(db.collection(profilesPath).doc(userId)))
+        );
+
+        // --- WRITES ---
+        const now = new Date();
+
+        for (const pledge of pledges) {
+            transaction.update(pledge.ref, {
+                isResolved: true,
+                didWin: null,
+                isWinner: null,
+                refunded: true,
+                payout: getPledgeStakeUsd(pledge),
+                status: 'refunded',
+                resolvedAt: now
+            });
+        }
+
+        profileSnaps.forEach((profileSnap, i) => {
+            if (!profileSnap.exists) return;
+            const refunds = refundsByUser.get(userIds[i]);
+            const updates = {};
+            for (const [balanceField, amount] of Object.entries(refunds)) {
+                updates[balanceField] = admin.firestore.FieldValue.increment(amount);
+                recordTransfer(transaction, db, APP_ID, {
+                    from: marketAccount(marketRef.id),
+                    to: userAccount(userIds[i]),
+                    field: balanceField,
+                    amount,
+                    reason: LEDGER_REASONS.REFUND,
+                    refId: marketRef.id
+                });
+            }
+            transaction.update(profileSnap.ref, updates);
+        });
+
+        const settlementSummary = {
+            winningOutcome: VOID_OUTCOME,
+            refundedPledges: pledges.length,
+            totalRefundedUsd: pledges.reduce((sum, p) => sum + getPledgeStakeUsd(p), 0)
+        };
+
+        const finalOdds = computeMarketOdds(market);
+        recordPriceSnapshot(transaction, marketRef, {
+            event: 'void',
+            oddsBefore: finalOdds,
+            odds: finalOdds,
+            totalPool: market.totalPool || 0,
+            volume: market.totalStakeVolume || 0
+        });
+
+        transaction.update(marketRef, {
+            isResolved: true,
+            winningOutcome: VOID_OUTCOME,
+            resolvedAt: now,
+            status: 'void',
+            isSettled: true,
+            settledAt: now,
+            settlementStatus: 'settled',
+            voidReason: reason,
+            settlementSummary,
+            ...resolutionFields
+        });
+
+        return {
+            alreadySettled: false,
+            marketId: marketRef.id,
+            outcome: VOID_OUTCOME,
+            userIds,
+            ...settlementSummary
+        };
+    });
+}
@@ -1,4 +1,5 @@
-import fetch from 'node-fetch';
+import { createLiveModelClient, isModelClient } from './model-client.js';
+import { confidenceBucket } from './agent-track-record.js';
 
 // Configuration
 const CONFIG = {
@@ -10,6 +11,14 @@ const CONFIG = {
     MAX_RETRIES: 2,
     PARALLEL_MODE: true,
     
+    // Per-agent switches (see AGENT REGISTRY); agents missing here are enabled
+    AGENTS: {
+        'gemini-research': { enabled: true },
+        'gemini-skeptic': { enabled: true },
+        'duckduckgo': { enabled: true },
+        'gemini-search': { enabled: false }
+    },
+    
     GEOMETRIC_MEDIAN_MAX_ITERATIONS: 100,
     GEOMETRIC_MEDIAN_TOLERANCE: 1e-6,
     
@@ -46,10 +55,57 @@ function sanitizeMarketData(market) {
         title: truncate(market.title, 200),
         description: truncate(market.description, 300),
         category: truncate(market.category, 50),
-        resolutionDate: market.resolutionDate || new Date().toISOString()
+        resolutionDate: market.resolutionDate || new Date().toISOString(),
+        options: isMultiOptionMarket(market) ? market.options.map(opt => truncate(opt, 100)) : null,
+        resolutionCriteria: truncate(market.resolutionCriteria, 600),
+        resolutionSources: Array.isArray(market.resolutionSources)
+            ? market.resolutionSources.slice(0, 5).map(source => truncate(source, 200)).filter(Boolean)
+            : [],
+        edgeCaseRule: truncate(market.edgeCaseRule, 300)
     };
 }
 
+// Helper: Prompt block with the creator's resolution rules (empty when none were authored)
+function resolutionRulesPrompt(sanitized) {
+    const lines = [];
+    if (sanitized.resolutionCriteria) lines.push(`Resolution Criteria: "${sanitized.resolutionCriteria}"`);
+    if (sanitized.resolutionSources.length > 0) lines.push(`Authoritative Sources: ${sanitized.resolutionSources.map(src => `"${src}"`).join(', ')}`);
+    if (sanitized.edgeCaseRule) lines.push(`Edge-Case Rule: "${sanitized.edgeCaseRule}"`);
+    return lines.length > 0
+        ? `\n${lines.join('\n')}\nApply these resolution rules exactly; they override your own reading of the title.`
+        : '';
+}
+
+// Helper: Multi-option markets resolve to one of market.options instead of YES/NO
+export function isMultiOptionMarket(market) {
+    return (market.marketStructure === 'multi-option' || market.marketType === 'multi') &&
+        Array.isArray(market.options) && market.options.length > 0;
+}
+
+// Helper: Valid non-ambiguous outcomes for a market
+export function getMarketOutcomes(market) {
+    return isMultiOptionMarket(market) ? market.options : ['YES', 'NO'];
+}
+
+// Helper: Map a raw model answer onto a stored outcome (case-insensitive), else AMBIGUOUS
+export function normalizeOutcome(raw, market) {
+    const answer = (raw || '').trim().replace(/^["'\[]+|["'\].]+$/g, '').toLowerCase();
+    const match = getMarketOutcomes(market).find(outcome => outcome.toLowerCase() === answer);
+    return match || 'AMBIGUOUS';
+}
+
+// Helper: Prompt line describing the allowed outcomes
+function outcomeFormat(market) {
+    return `${getMarketOutcomes(market).join('|')}|AMBIGUOUS`;
+}
+
+// Helper: Extract the OUTCOME: line and normalize it against the market's outcomes
+function extractOutcome(content, market, fallback = 'AMBIGUOUS') {
+    const raw = extractPattern(content, /OUTCOME:\s*([^\n]+)/i, '');
+    const outcome = normalizeOutcome(raw, market);
+    return outcome === 'AMBIGUOUS' && !/^\s*ambiguous/i.test(raw) ? fallback : outcome;
+}
+
 // Helper: Count keywords in text
 function countKeywords(text, keywords) {
     return keywords.reduce((count, word) => {
@@ -58,28 +114,39 @@ function countKeywords(text, keywords) {
     }, 0);
 }
 
-// Timeout wrapper
+// Timeout wrapper (clears its timer so a finished race doesn't hold the process open)
 function withTimeout(promise, ms) {
+    let timer;
     return Promise.race([
         promise,
-        new Promise((_, reject) => setTimeout(() => reject(new Error('Agent timeout')), ms))
-    ]);
+        new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('Agent timeout')), ms); })
+    ]).finally(() => clearTimeout(timer));
 }
 
-// Helper: Call Gemini API with GoogleGenerativeAI client
-async function callGemini(geminiClient, prompt, systemPrompt = '') {
+// Helper: Accept a model client, or wrap a GoogleGenerativeAI instance in the live one
+function toModelClient(client, options = {}) {
+    if (!client) return null;
+    if (isModelClient(client)) return client;
+    return createLiveModelClient({
+        geminiClient: client,
+        geminiApiKey: options.geminiApiKey,
+        geminiUrl: options.geminiUrl
+    });
+}
+
+// Helper: Call Gemini through the model client
+async function callGemini(modelClient, purpose, prompt, systemPrompt = '') {
     try {
-        if (!geminiClient) throw new Error('Gemini client not available');
-        const model = geminiClient.getGenerativeModel({ model: 'gemini-2.5-pro' });
-        const result = await model.generateContent({
-            contents: [{ role: 'user', parts: [{ text: prompt }] }],
-            systemInstruction: systemPrompt,
+        if (!modelClient) throw new Error('Gemini client not available');
+        return await modelClient.generateText({
+            purpose,
+            prompt,
+            systemPrompt,
             generationConfig: {
                 maxOutputTokens: 1024,
                 temperature: 0.3,
             }
         });
-        return result.response.text();
     } catch (error) {
         throw new Error(`Gemini API call failed: ${error.message}`);
     }
@@ -88,20 +155,20 @@ async function callGemini(geminiClient, prompt, systemPrompt = '') {
 // --- AGENTS ---
 
 // Agent 1: Gemini Research Agent
-async function gpt4oResearchAgent(market, geminiClient) {
+async function geminiResearchAgent(market, { modelClient }) {
     try {
         const sanitized = sanitizeMarketData(market);
         const systemPrompt = `You are a factual research agent for prediction market resolution.
-Your task is to determine if the following market outcome is TRUE or FALSE.
+Your task is to determine ${sanitized.options ? 'which of the listed options is the correct outcome' : 'if the following market outcome is TRUE or FALSE'}.
 
 Rules:
 1. Use credible reasoning and established facts
 2. If evidence is inconclusive or contradictory, return AMBIGUOUS
 3. Provide confidence score (0-100) based on evidence quality
-4. Be thorough but concise
+4. Be thorough but concise${sanitized.options ? '\n5. OUTCOME must be exactly one of the listed options' : ''}
 
 Output format:
-OUTCOME: YES|NO|AMBIGUOUS
+OUTCOME: ${outcomeFormat(market)}
 CONFIDENCE: <0-100>
 RATIONALE: <detailed explanation>
 SOURCES: <any relevant URLs or references>`;
@@ -109,18 +176,18 @@ SOURCES: <any relevant URLs or references>`;
         const userPrompt = `Market Title: "${sanitized.title}"
 Description: "${sanitized.description}"
 Resolution Date: ${sanitized.resolutionDate}
-Category: ${sanitized.category}
+Category: ${sanitized.category}${sanitized.options ? `\nOptions: ${sanitized.options.map(opt => `"${opt}"`).join(', ')}` : ''}${resolutionRulesPrompt(sanitized)}
 
 Determine the outcome with maximum accuracy.`;
 
-        const content = await callGemini(geminiClient, userPrompt, systemPrompt);
-        const outcome = extractPattern(content, /OUTCOME:\s*(YES|NO|AMBIGUOUS)/i, 'AMBIGUOUS').toUpperCase();
+        const content = await callGemini(modelClient, 'gemini-research', userPrompt, systemPrompt);
+        const outcome = extractOutcome(content, market);
         const confidence = parseInt(extractPattern(content, /CONFIDENCE:\s*(\d+)/i)) || 65;
         const rationale = extractPattern(content, /RATIONALE:\s*(.+?)(?=SOURCES:|$)/is, '');
         const sources = extractSources(extractPattern(content, /SOURCES:\s*(.+?)$/is, ''));
 
         return {
-            agent: 'gpt4o-research',
+            agent: 'gemini-research',
             outcome,
             confidence: Math.max(0, Math.min(100, confidence)),
             rationale,
@@ -142,8 +209,8 @@ Determine the outcome with maximum accuracy.`;
     }
 }
 
-// Agent 2: Gemini Skeptic Agent
-async function gpt4oMiniSkepticAgent(market, geminiClient, otherAgentResults = []) {
+// Agent 2: Gemini Skeptic Agent - reviews the research agents' findings
+async function geminiSkepticAgent(market, { modelClient, priorResults: otherAgentResults = [] }) {
     try {
         const sanitized = sanitizeMarketData(market);
         const systemPrompt = `You are a PARANOID SKEPTIC agent for market resolution.
@@ -155,11 +222,16 @@ Your role:
 4. Only accept outcomes backed by strong logical proof
 5. Default to AMBIGUOUS if ANY doubt exists
 
-Be extremely critical and conservative.`;
+Be extremely critical and conservative.
+
+Output format:
+OUTCOME: ${outcomeFormat(market)}
+CONFIDENCE: <0-100>
+RATIONALE: <critical assessment>`;
 
         let userPrompt = `Market: "${sanitized.title}"
 Description: "${sanitized.description}"
-Resolution Date: ${sanitized.resolutionDate}
+Resolution Date: ${sanitized.resolutionDate}${sanitized.options ? `\nOptions: ${sanitized.options.map(opt => `"${opt}"`).join(', ')}` : ''}${resolutionRulesPrompt(sanitized)}
 
 Critically evaluate this market.`;
         
@@ -173,13 +245,13 @@ Critically evaluate this market.`;
             });
         }
 
-        const content = await callGemini(geminiClient, userPrompt, systemPrompt);
-        const outcome = extractPattern(content, /OUTCOME:\s*(YES|NO|AMBIGUOUS)/i, 'AMBIGUOUS').toUpperCase();
+        const content = await callGemini(modelClient, 'gemini-skeptic', userPrompt, systemPrompt);
+        const outcome = extractOutcome(content, market);
         const confidence = parseInt(extractPattern(content, /CONFIDENCE:\s*(\d+)/i)) || 50;
         const rationale = extractPattern(content, /RATIONALE:\s*(.+?)(?=SOURCES:|$)/is, '');
 
         return {
-            agent: 'gpt4o-mini-skeptic',
+            agent: 'gemini-skeptic',
             outcome,
             confidence: Math.max(0, Math.min(100, confidence)),
             rationale,
@@ -201,18 +273,34 @@ Critically evaluate this market.`;
 }
 
 // Agent 3: DuckDuckGo Fact-Checker
-async function duckDuckGoAgent(market) {
+async function duckDuckGoAgent(market, { modelClient }) {
     try {
         const searchQuery = `${market.title} ${market.category}`;
         
-        const response = await fetch(
-            `https://api.duckduckgo.com/?q=${encodeURIComponent(searchQuery)}&format=json`
-        );
-        const data = await response.json();
+        const data = await modelClient.search({ purpose: 'duckduckgo', query: searchQuery });
 
         const abstractText = data.AbstractText || '';
         const content = abstractText.toLowerCase();
         
+        // Multi-option: the option mentioned most often in the abstract wins
+        if (isMultiOptionMarket(market)) {
+            const mentions = market.options.map(option => ({
+                option,
+                count: content.split(option.toLowerCase()).length - 1
+            })).sort((a, b) => b.count - a.count);
+            const [top, runnerUp] = mentions;
+            const isClear = top.count > 0 && (!runnerUp || top.count > runnerUp.count * 1.5);
+            
+            return {
+                agent: 'duckduckgo',
+                outcome: isClear ? top.option : 'AMBIGUOUS',
+                confidence: isClear ? Math.min(65, 45 + top.count * 4) : 45,
+                rationale: `Option mentions in search results: ${mentions.map(m => `${m.option}=${m.count}`).join(', ')}.`,
+                sources: [data.AbstractURL].filter(Boolean),
+                timestamp: new Date().toISOString()
+            };
+        }
+        
         const yesKeywords = ['confirmed', 'verified', 'true', 'yes', 'successful', 'achieved', 'passed', 'approved'];
         const noKeywords = ['false', 'denied', 'failed', 'no', 'rejected', 'unsuccessful', 'failed'];
         
@@ -252,20 +340,8 @@ async function duckDuckGoAgent(market) {
     }
 }
 
-// Agent 4: Gemini Investigator (Optional)
-async function geminiAgent(market, geminiApiKey, geminiUrl) {
-    if (!geminiApiKey) {
-        return {
-            agent: 'gemini',
-            outcome: 'AMBIGUOUS',
-            confidence: 0,
-            rationale: 'Gemini API key not configured',
-            sources: [],
-            timestamp: new Date().toISOString(),
-            skipped: true
-        };
-    }
-
+// Agent 4: Gemini Investigator with Google Search grounding (disabled by default)
+async function geminiSearchAgent(market, { modelClient }) {
     try {
         const sanitized = sanitizeMarketData(market);
         const payload = {
@@ -274,30 +350,20 @@ async function geminiAgent(market, geminiApiKey, geminiUrl) {
             },
             contents: [{
                 parts: [{ 
-                    text: `Market: "${sanitized.title}"\nDescription: "${sanitized.description}"\nDetermine the outcome and provide confidence (0-100).\n\nOutput format:\nOUTCOME: YES|NO|AMBIGUOUS\nCONFIDENCE: <0-100>` 
+                    text: `Market: "${sanitized.title}"\nDescription: "${sanitized.description}"${sanitized.options ? `\nOptions: ${sanitized.options.join(', ')}` : ''}${resolutionRulesPrompt(sanitized)}\nDetermine the outcome and provide confidence (0-100).\n\nOutput format:\nOUTCOME: ${outcomeFormat(market)}\nCONFIDENCE: <0-100>` 
                 }]
             }],
             tools: [{ "google_search": {} }]
         };
 
-        const response = await fetch(`${geminiUrl}?key=${geminiApiKey}`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
-
-        if (!response.ok) {
-            throw new Error(`Gemini API error: ${response.status}`);
-        }
-
-        const data = await response.json();
+        const data = await modelClient.generateContent({ purpose: 'gemini-search', payload });
         const content = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
         
-        const outcome = extractPattern(content, /OUTCOME:\s*(YES|NO|AMBIGUOUS)/i, 'AMBIGUOUS').toUpperCase();
+        const outcome = extractOutcome(content, market);
         const confidence = parseInt(extractPattern(content, /CONFIDENCE:\s*(\d+)/i)) || 55;
 
         return {
-            agent: 'gemini',
+            agent: 'gemini-search',
             outcome,
             confidence: Math.max(0, Math.min(100, confidence)),
             rationale: content.slice(0, 300),
@@ -305,9 +371,20 @@ async function geminiAgent(market, geminiApiKey, geminiUrl) {
             timestamp: new Date().toISOString()
         };
     } catch (error) {
+        if (error.code === 'NOT_CONFIGURED') {
+            return {
+                agent: 'gemini-search',
+                outcome: 'AMBIGUOUS',
+                confidence: 0,
+                rationale: 'Gemini API key not configured',
+                sources: [],
+                timestamp: new Date().toISOString(),
+                skipped: true
+            };
+        }
         console.warn('Gemini Agent failed:', error.message);
         return {
-            agent: 'gemini',
+            agent: 'gemini-search',
             outcome: 'AMBIGUOUS',
             confidence: 40,
             rationale: 'Gemini agent failed',
@@ -318,16 +395,110 @@ async function geminiAgent(market, geminiApiKey, geminiUrl) {
     }
 }
 
+// --- AGENT REGISTRY ---
+// Agents run in two phases: 'research' agents in parallel, then 'review' agents
+// with the research results in context.priorResults. All results feed consensus.
+
+const AGENT_REGISTRY = new Map();
+
+/**
+ * Register a swarm agent. Re-registering a name replaces the agent.
+ *
+ * @param {Object} agent
+ * @param {string} agent.name - unique id, also the key for CONFIG.AGENTS enable flags
+ * @param {Function} agent.run - async (market, context) => { outcome, confidence, rationale, sources }
+ *   context: { modelClient, priorResults } (see model-client.js)
+ * @param {number} [agent.weight=1] - vote weight in consensus
+ * @param {number} [agent.timeoutMs=CONFIG.AGENT_TIMEOUT_MS]
+ * @param {string[]|null} [agent.categories=null] - market categories handled (null = every category)
+ * @param {'research'|'review'} [agent.phase='research']
+ */
+export function registerAgent({ name, run, weight = 1, timeoutMs = CONFIG.AGENT_TIMEOUT_MS, categories = null, phase = 'research' }) {
+    if (!name || typeof run !== 'function') {
+        throw new Error('Swarm agents need a name and a run function');
+    }
+    AGENT_REGISTRY.set(name, {
+        name,
+        run,
+        weight,
+        timeoutMs,
+        categories: categories ? categories.map(c => c.toLowerCase()) : null,
+        phase
+    });
+}
+
+export function getRegisteredAgents() {
+    return [...AGENT_REGISTRY.values()].map(({ run, ...agent }) => ({
+        ...agent,
+        enabled: isAgentEnabled(agent.name)
+    }));
+}
+
+function isAgentEnabled(name) {
+    return CONFIG.AGENTS[name]?.enabled !== false;
+}
+
+// Enabled agents that handle this market's category
+function selectAgents(market, phase) {
+    const category = (market.category || '').toLowerCase();
+    return [...AGENT_REGISTRY.values()].filter(agent =>
+        agent.phase === phase &&
+        isAgentEnabled(agent.name) &&
+        (!agent.categories || agent.categories.includes(category))
+    );
+}
+
+// Scale an agent's registry weight by its track record and replace a decisive
+// vote's confidence with the observed accuracy of its calibration bucket
+function applyTrackRecord(result, agent, record) {
+    const trackWeight = record?.weight ?? 1;
+    const calibrated = result.outcome !== 'AMBIGUOUS'
+        ? record?.calibration?.[confidenceBucket(result.confidence)]?.calibratedConfidence
+        : null;
+    return {
+        ...result,
+        agent: agent.name,
+        baseWeight: agent.weight,
+        trackWeight,
+        weight: agent.weight * trackWeight,
+        rawConfidence: result.confidence,
+        confidence: calibrated ?? result.confidence
+    };
+}
+
+// Run agents in parallel; a timeout or throw becomes an AMBIGUOUS vote for that agent
+async function runAgents(agents, market, context, { timeoutMs = null, trackRecords = {} } = {}) {
+    return Promise.all(agents.map(agent =>
+        withTimeout(agent.run(market, context), timeoutMs || agent.timeoutMs)
+            .catch(e => ({
+                outcome: 'AMBIGUOUS',
+                confidence: 40,
+                rationale: e.message === 'Agent timeout' ? 'Agent timeout' : 'Agent failed to process market',
+                sources: [],
+                timestamp: new Date().toISOString(),
+                error: e.message
+            }))
+            .then(result => applyTrackRecord(result, agent, trackRecords[agent.name]))
+    ));
+}
+
+registerAgent({ name: 'gemini-research', run: geminiResearchAgent });
+registerAgent({ name: 'duckduckgo', run: duckDuckGoAgent });
+registerAgent({ name: 'gemini-search', run: geminiSearchAgent });
+registerAgent({ name: 'gemini-skeptic', run: geminiSkepticAgent, phase: 'review' });
+
 // --- CONSENSUS ALGORITHM ---
 
-function computeGeometricMedian(points, maxIterations = CONFIG.GEOMETRIC_MEDIAN_MAX_ITERATIONS, tolerance = CONFIG.GEOMETRIC_MEDIAN_TOLERANCE) {
+// Weighted geometric median (Weiszfeld); `pointWeights` defaults to 1 per point
+function computeGeometricMedian(points, pointWeights = points.map(() => 1), maxIterations = CONFIG.GEOMETRIC_MEDIAN_MAX_ITERATIONS, tolerance = CONFIG.GEOMETRIC_MEDIAN_TOLERANCE) {
     if (points.length === 0) return 0;
     if (points.length === 1) return points[0];
     
     const points2D = points.map(p => [p, 0]);
+    const totalWeight = pointWeights.reduce((sum, w) => sum + w, 0) || 1;
     
     let y = [
-        points2D.reduce((sum, p) => sum + p[0], 0) / points2D.length,
+        points2D.reduce((sum, p, i) => sum + pointWeights[i] * p[0], 0) / totalWeight,
         0
     ];
     
@@ -336,7 +507,7 @@ function computeGeometricMedian(points, maxIterations = CONFIG.GEOMETRIC_MEDIAN_
             Math.sqrt((p[0] - y[0]) ** 2 + (p[1] - y[1]) ** 2)
         );
         
-        const weights = distances.map(d => 1 / (d + 1e-10));
+        const weights = distances.map((d, i) => pointWeights[i] / (d + 1e-10));
         const weightSum = weights.reduce((sum, w) => sum + w, 0);
         
         const y_new = [
@@ -353,19 +524,26 @@ function computeGeometricMedian(points, maxIterations = CONFIG.GEOMETRIC_MEDIAN_
     return Math.max(0, Math.min(100, Math.round(y[0])));
 }
 
-function aggregateConsensus(agentResults) {
-    const groups = { YES: [], NO: [], AMBIGUOUS: [] };
+function aggregateConsensus(agentResults, outcomes = ['YES', 'NO']) {
+    const groups = { AMBIGUOUS: [] };
+    outcomes.forEach(outcome => { groups[outcome] = []; });
     agentResults.forEach(r => {
         if (r.skipped) return;
         groups[r.outcome]?.push(r);
     });
     
-    const majorityOutcome = Object.keys(groups).reduce((a, b) => 
-        groups[a].length > groups[b].length ? a : b
+    // Each agent's vote counts its registry weight scaled by its track record
+    const weightOf = outcome => groups[outcome].reduce((sum, r) => sum + (r.weight ?? 1), 0);
+    
+    // Ties resolve toward the later group, so AMBIGUOUS wins any tie it is part of
+    const majorityOutcome = [...outcomes, 'AMBIGUOUS'].reduce((a, b) => 
+        weightOf(a) > weightOf(b) ? a : b
     );
     
     const confidences = groups[majorityOutcome].map(r => r.confidence);
-    const consensusConfidence = confidences.length > 0 ? computeGeometricMedian(confidences) : 50;
+    const consensusConfidence = confidences.length > 0
+        ? computeGeometricMedian(confidences, groups[majorityOutcome].map(r => r.weight ?? 1))
+        : 50;
     
     return {
         outcome: majorityOutcome,
@@ -374,21 +552,23 @@ function aggregateConsensus(agentResults) {
             .map(r => `[${r.agent}] ${r.rationale.slice(0, 200)}`)
             .join('\n\n'),
         sources: [...new Set(agentResults.flatMap(r => r.sources || []))],
-        agentVotes: {
-            YES: groups.YES.length,
-            NO: groups.NO.length,
-            AMBIGUOUS: groups.AMBIGUOUS.length
-        }
+        agentVotes: Object.fromEntries(
+            Object.entries(groups).map(([outcome, results]) => [outcome, results.length])
+        ),
+        weightedVotes: Object.fromEntries(
+            Object.keys(groups).map(outcome => [outcome, weightOf(outcome)])
+        )
     };
 }
 
 // --- MULTI-MODEL SCORING ---
 
-async function factualScorer(market, consensus, geminiClient) {
+async function factualScorer(market, consensus, modelClient) {
     try {
+        const sanitized = sanitizeMarketData(market);
         const prompt = `Verify factual accuracy of this resolution:
 
-Market: "${market.title}"
+Market: "${sanitized.title}"${resolutionRulesPrompt(sanitized)}
 Consensus: ${consensus.outcome} (${consensus.confidence}% confidence)
 Rationale: ${consensus.rationale.slice(0, 300)}
 
@@ -399,7 +579,7 @@ Rate factual accuracy (0-100). Consider:
 
 Output: SCORE: <0-100>`;
 
-        const content = await callGemini(geminiClient, prompt, 'You are a factual accuracy reviewer. Provide an accuracy score.');
+        const content = await callGemini(modelClient, 'factual-scorer', prompt, 'You are a factual accuracy reviewer. Provide an accuracy score.');
         const scoreMatch = content.match(/SCORE:\s*(\d+)/i);
         return Math.max(0, Math.min(100, parseInt(scoreMatch?.[1] || 75)));
     } catch (error) {
@@ -457,10 +637,10 @@ async function sentimentScorer(market, consensus) {
     return Math.max(0, score);
 }
 
-async function runMultiModelScoring(market, consensus, geminiClient) {
+async function runMultiModelScoring(market, consensus, modelClient) {
     try {
         const scores = {
-            factual: await factualScorer(market, consensus, geminiClient),
+            factual: await factualScorer(market, consensus, modelClient),
             consistency: await consistencyScorer(market, consensus),
             timestamp: await timestampScorer(market, consensus),
             sentiment: await sentimentScorer(market, consensus)
@@ -489,53 +669,52 @@ async function runMultiModelScoring(market, consensus, geminiClient) {
 
 // --- MAIN SWARM RESOLUTION ---
 
+/**
+ * Resolve a market with the agent swarm.
+ *
+ * @param {Object} market
+ * @param {Object} [options]
+ * @param {string} [options.geminiApiKey] - used when geminiClient is a raw SDK instance
+ * @param {string} [options.geminiUrl] - used when geminiClient is a raw SDK instance
+ * @param {number} [options.agentTimeoutMs] - overrides every agent's timeout
+ * @param {Object} [options.trackRecords] - getAgentTrackRecords() output; scales weights and calibrates confidence
+ * @param {Object} geminiClient - model client (model-client.js) or GoogleGenerativeAI instance
+ */
 export async function swarmVerifyResolution(market, options = {}, geminiClient = null) {
     try {
         console.log(`🐝 Swarm-Verify starting for market: "${market.title}"`);
 
-        if (!geminiClient) {
+        const modelClient = toModelClient(geminiClient, options);
+        if (!modelClient) {
             throw new Error('Gemini instance not provided');
         }
 
-        // Phase 1: Run agents in parallel
-        console.log('📊 Phase 1: Parallel Agent Research');
-        
-        const agentTasks = [
-            withTimeout(gpt4oResearchAgent(market, geminiClient), CONFIG.AGENT_TIMEOUT_MS),
-            withTimeout(gpt4oMiniSkepticAgent(market, geminiClient), CONFIG.AGENT_TIMEOUT_MS),
-            withTimeout(duckDuckGoAgent(market), CONFIG.AGENT_TIMEOUT_MS)
-        ];
-
-        const agentResults = await Promise.all(agentTasks.map(p => p.catch(e => ({
-            agent: 'unknown',
-            outcome: 'AMBIGUOUS',
-            confidence: 40,
-            rationale: 'Agent timeout',
-            sources: [],
-            timestamp: new Date().toISOString(),
-            error: e.message
-        }))));
+        const context = {
+            modelClient,
+            priorResults: []
+        };
 
-        console.log(`✅ Phase 1 Complete: ${agentResults.length} agents responded`);
+        // Phase 1: Run research agents in parallel
+        console.log('📊 Phase 1: Parallel Agent Research');
+        const runOptions = { timeoutMs: options.agentTimeoutMs, trackRecords: options.trackRecords };
+        const researchResults = await runAgents(selectAgents(market, 'research'), market, context, runOptions);
+        console.log(`✅ Phase 1 Complete: ${researchResults.length} agents responded`);
 
-        // Phase 2: Skeptic verification
+        // Phase 2: Review agents (skeptic) verify the research findings
         console.log('🔍 Phase 2: Skeptic Adversarial Verification');
-        const nonSkepticResults = agentResults.filter(r => r.agent !== 'gemini-skeptic');
-        const skepticResult = await withTimeout(
-            gpt4oMiniSkepticAgent(market, geminiClient, nonSkepticResults),
-            CONFIG.AGENT_TIMEOUT_MS
-        ).catch(e => ({
-            agent: 'gemini-skeptic',
-            outcome: 'AMBIGUOUS',
-            confidence: 45,
-            rationale: 'Skeptic agent failed',
-            sources: [],
-            timestamp: new Date().toISOString()
-        }));
+        const reviewResults = await runAgents(selectAgents(market, 'review'), market, {
+            ...context,
+            priorResults: researchResults
+        }, runOptions);
+        const agentResults = [...researchResults, ...reviewResults];
+
+        if (agentResults.length === 0) {
+            throw new Error(`No swarm agents enabled for category "${market.category || 'General'}"`);
+        }
 
         // Phase 3: Geometric median consensus
         console.log('🔗 Phase 3: Geometric Median Consensus');
-        const consensusResult = aggregateConsensus(agentResults);
+        const consensusResult = aggregateConsensus(agentResults, getMarketOutcomes(market));
         console.log(`✅ Consensus: ${consensusResult.outcome} (${consensusResult.confidence}% confidence)`);
 
         // Phase 3.5: Multi-model scoring
@@ -543,9 +722,9 @@ export async function swarmVerifyResolution(market, options = {}, geminiClient =
         let finalConfidence = consensusResult.confidence;
         let scoringDetails = {};
 
-        if (CONFIG.MULTI_MODEL_SCORING_ENABLED && geminiClient) {
+        if (CONFIG.MULTI_MODEL_SCORING_ENABLED) {
             try {
-                const scoring = await runMultiModelScoring(market, consensusResult, geminiClient);
+                const scoring = await runMultiModelScoring(market, consensusResult, modelClient);
                 finalConfidence = scoring.finalConfidence;
                 scoringDetails = scoring.scores;
                 console.log(`✅ Multi-Model Score: ${finalConfidence}%`);
@@ -564,10 +743,19 @@ export async function swarmVerifyResolution(market, options = {}, geminiClient =
             sources: consensusResult.sources,
             agentVotes: consensusResult.agentVotes,
             scoringDetails,
+            consensusConfidence: consensusResult.confidence,
+            weightedVotes: consensusResult.weightedVotes,
             agents: agentResults.map(r => ({
                 agent: r.agent,
+                weight: r.weight,
+                baseWeight: r.baseWeight,
+                trackWeight: r.trackWeight,
                 outcome: r.outcome,
-                confidence: r.confidence
+                confidence: r.confidence,
+                rawConfidence: r.rawConfidence,
+                rationale: (r.rationale || '').slice(0, 600),
+                sources: r.sources || [],
+                error: r.error || null
             })),
             path: finalConfidence >= 90 ? 'auto-resolve' : finalConfidence >= 85 ? 'second-pass' : 'manual-review',
             timestamp: new Date().toISOString()
@@ -585,7 +773,8 @@ export async function swarmVerifyResolution(market, options = {}, geminiClient =
 // --- HELPER: Second Pass Review ---
 export async function secondPassReview(market, firstResolution, geminiClient = null) {
     try {
-        if (!geminiClient) throw new Error('Gemini instance required for second pass');
+        const modelClient = toModelClient(geminiClient);
+        if (!modelClient) throw new Error('Gemini instance required for second pass');
 
         console.log(`🔄 Second Pass Review for: "${market.title}"`);
         
@@ -602,18 +791,18 @@ Your task: Independently verify if this outcome is correct. Consider:
 3. Is the confidence level appropriate?
 
 Output format:
-OUTCOME: YES|NO|AMBIGUOUS
+OUTCOME: ${outcomeFormat(market)}
 CONFIDENCE: <0-100>
 VERIFICATION: <brief verification>`;
 
         const sanitized = sanitizeMarketData(market);
         const userPrompt = `Market: "${sanitized.title}"
-Description: "${sanitized.description}"
+Description: "${sanitized.description}"${sanitized.options ? `\nOptions: ${sanitized.options.map(opt => `"${opt}"`).join(', ')}` : ''}${resolutionRulesPrompt(sanitized)}
 
 Perform independent verification of the first pass outcome.`;
 
-        const content = await callGemini(geminiClient, userPrompt, systemPrompt);
-        const outcome = extractPattern(content, /OUTCOME:\s*(YES|NO|AMBIGUOUS)/i, firstResolution.outcome).toUpperCase();
+        const content = await callGemini(modelClient, 'second-pass', userPrompt, systemPrompt);
+        const outcome = extractOutcome(content, market, firstResolution.outcome);
         const confidence = parseInt(extractPattern(content, /CONFIDENCE:\s*(\d+)/i)) || firstResolution.confidence;
 
         return {
@@ -637,4 +826,4 @@ Perform independent verification of the first pass outcome.`;
     }
 }
 
-export { CONFIG };
+export { CONFIG, aggregateConsensus };
@@ -0,0 +1,74 @@
+// Offline tests for the market state helpers used by the oracle jobs.
+//
+//   node test-market-state.js
+
+import { getResolvesAt, getStakingClosesAt, isStakingExpired, needsPoolRepair } from './market-state.js';
+import { lmsrSeedShares } from './lmsr.js';
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`  ✅ ${description}`);
+    } else {
+        failed++;
+        console.log(`  ❌ ${description}${detail ? ` (${detail})` : ''}`);
+    }
+}
+
+async function test(testName, fn) {
+    console.log(`\n🧪 Test: ${testName}`);
+    try {
+        await fn();
+    } catch (error) {
+        failed++;
+        console.log(`  ❌ Threw: ${error.message}`);
+    }
+}
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+async function runTests() {
+    console.log('📅 MARKET STATE TEST SUITE');
+    console.log('='.repeat(50));
+
+    await test('Deadlines fall back through the market generations', async () => {
+        const created = { createdAt: '2026-03-01T00:00:00Z', duration: '24h' };
+        check('createdAt + duration', getResolvesAt(created)?.toISOString() === '2026-03-02T00:00:00.000Z', getResolvesAt(created)?.toISOString());
+        const dated = { stakingDeadline: '2026-03-09', resolutionDate: '2026-03-12' };
+        check('date-only staking deadline runs to end of day', getStakingClosesAt(dated)?.toISOString() === '2026-03-09T23:59:59.999Z', getStakingClosesAt(dated)?.toISOString());
+        const serialized = { resolvesAt: { _seconds: NOW.getTime() / 1000 } };
+        check('serialized timestamp without deadline closes at resolvesAt', getStakingClosesAt(serialized)?.getTime() === NOW.getTime());
+    });
+
+    await test('User-created market without a status closes once past its deadline', async () => {
+        const market = { isResolved: false, stakingDeadline: '2026-03-09', resolvesAt: new Date('2026-03-12T00:00:00Z') };
+        check('expired with no status', isStakingExpired(market, NOW) === true);
+        check('not expired before the deadline', isStakingExpired(market, new Date('2026-03-09T20:00:00Z')) === false);
+        check('active status expires too', isStakingExpired({ ...market, status: 'active' }, NOW) === true);
+    });
+
+    await test('Markets past staking but not open are left alone', async () => {
+        const market = { isResolved: false, resolvesAt: new Date('2026-03-01T00:00:00Z') };
+        check('already closed', isStakingExpired({ ...market, status: 'closed' }, NOW) === false);
+        check('pending review', isStakingExpired({ ...market, status: 'pending-review' }, NOW) === false);
+        check('resolved', isStakingExpired({ ...market, isResolved: true }, NOW) === false);
+        check('no deadline at all', isStakingExpired({ isResolved: false }, NOW) === false);
+    });
+
+    await test('Pool repair skips LMSR markets and healthy pools', async () => {
+        const lmsr = { pricingMode: 'lmsr', lmsrLiquidity: 100, lmsrShares: lmsrSeedShares(100, 0.6), totalPool: 100 };
+        check('LMSR market without pools is left alone', needsPoolRepair(lmsr) === false);
+        check('healthy parimutuel pools', needsPoolRepair({ yesPool: 60, noPool: 40, totalPool: 100 }) === false);
+        check('missing pools need repair', needsPoolRepair({ totalPool: 100 }) === true);
+        check('NaN pool needs repair', needsPoolRepair({ yesPool: NaN, noPool: 40, totalPool: 100 }) === true);
+    });
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`${failed === 0 ? '✅' : '❌'} ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exitCode = 1;
+}
+
+runTests();
@@ -0,0 +1,138 @@
+// Offline tests for the Swarm-Verify oracle and Gemini moderation.
+// Model and search calls are answered from recorded fixtures in fixtures/oracle/
+// (see model-client.js), so no API keys or network access are needed.
+//
+//   node test-swarm-oracle.js
+//
+// To capture real responses for a new fixture, run the server with
+// ORACLE_RECORD_PATH=fixtures/oracle/<name>.json and resolve a market.
+
+import fs from 'fs';
+import { swarmVerifyResolution, aggregateConsensus } from './swarm-verify-oracle.js';
+import { moderateContentWithGemini } from './ai-guardrails.js';
+import { createReplayModelClient } from './model-client.js';
+import { summarizeTrackRecord } from './agent-track-record.js';
+
+const FIXTURE_DIR = new URL('./fixtures/oracle/', import.meta.url);
+
+let passed = 0;
+let failed = 0;
+
+function loadScenario(name) {
+    return JSON.parse(fs.readFileSync(new URL(`${name}.json`, FIXTURE_DIR), 'utf8'));
+}
+
+function check(description, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`  ✅ ${description}`);
+    } else {
+        failed++;
+        console.log(`  ❌ ${description}${detail ? ` (${detail})` : ''}`);
+    }
+}
+
+async function test(testName, fn) {
+    console.log(`\n🧪 Test: ${testName}`);
+    try {
+        await fn();
+    } catch (error) {
+        failed++;
+        console.log(`  ❌ Threw: ${error.message}`);
+    }
+}
+
+// Run the swarm against a scenario fixture and check every recorded call was used
+async function runScenario(name, options = {}) {
+    const scenario = loadScenario(name);
+    const client = createReplayModelClient(scenario);
+    const resolution = await swarmVerifyResolution(scenario.market, options, client);
+    check('all recorded calls were replayed', client.remaining().length === 0, `${client.remaining().length} left`);
+    return resolution;
+}
+
+function agentResult(resolution, agent) {
+    return resolution.agents.find(a => a.agent === agent);
+}
+
+async function runTests() {
+    console.log('🐝 SWARM-VERIFY ORACLE TEST SUITE');
+    console.log('='.repeat(50));
+
+    await test('Unanimous YES routes to auto-resolve', async () => {
+        const resolution = await runScenario('unanimous');
+        check('outcome is YES', resolution.outcome === 'YES', resolution.outcome);
+        check('three YES votes', resolution.agentVotes.YES === 3, JSON.stringify(resolution.agentVotes));
+        check('confidence >= 90', resolution.confidence >= 90, resolution.confidence);
+        check('path is auto-resolve', resolution.path === 'auto-resolve', resolution.path);
+        check('research source kept', resolution.sources.some(src => src.includes('federalreserve.gov')));
+    });
+
+    await test('Split YES / NO / AMBIGUOUS falls to AMBIGUOUS', async () => {
+        const resolution = await runScenario('split');
+        check('outcome is AMBIGUOUS', resolution.outcome === 'AMBIGUOUS', resolution.outcome);
+        check('one vote each', resolution.agentVotes.YES === 1 && resolution.agentVotes.NO === 1 && resolution.agentVotes.AMBIGUOUS === 1, JSON.stringify(resolution.agentVotes));
+        check('path is manual-review', resolution.path === 'manual-review', resolution.path);
+    });
+
+    await test('Timed-out agent votes AMBIGUOUS without blocking consensus', async () => {
+        const resolution = await runScenario('timeout', { agentTimeoutMs: 100 });
+        const research = agentResult(resolution, 'gemini-research');
+        check('research agent recorded as AMBIGUOUS', research?.outcome === 'AMBIGUOUS', research?.outcome);
+        check('research agent at failure confidence', research?.confidence === 40, research?.confidence);
+        check('outcome is YES from the other agents', resolution.outcome === 'YES', resolution.outcome);
+        check('two YES votes', resolution.agentVotes.YES === 2, JSON.stringify(resolution.agentVotes));
+    });
+
+    await test('Malformed responses degrade to AMBIGUOUS', async () => {
+        const resolution = await runScenario('malformed');
+        check('outcome is AMBIGUOUS', resolution.outcome === 'AMBIGUOUS', resolution.outcome);
+        check('every agent voted AMBIGUOUS', resolution.agents.every(a => a.outcome === 'AMBIGUOUS'), JSON.stringify(resolution.agents));
+        check('failed search agent at failure confidence', agentResult(resolution, 'duckduckgo')?.confidence === 40);
+        check('unparseable score falls back to 75', resolution.scoringDetails.factual === 75, resolution.scoringDetails.factual);
+    });
+
+    await test('Weighted consensus lets a heavier agent outvote two light ones', async () => {
+        const consensus = aggregateConsensus([
+            { agent: 'a', weight: 3, outcome: 'YES', confidence: 90, rationale: 'a', sources: [] },
+            { agent: 'b', weight: 1, outcome: 'NO', confidence: 80, rationale: 'b', sources: [] },
+            { agent: 'c', weight: 1, outcome: 'NO', confidence: 70, rationale: 'c', sources: [] }
+        ]);
+        check('outcome is YES', consensus.outcome === 'YES', consensus.outcome);
+        check('weighted votes 3 vs 2', consensus.weightedVotes.YES === 3 && consensus.weightedVotes.NO === 2, JSON.stringify(consensus.weightedVotes));
+        check('raw vote counts unchanged', consensus.agentVotes.NO === 2, JSON.stringify(consensus.agentVotes));
+    });
+
+    await test('Track record breaks a split toward the proven agent', async () => {
+        const resolution = await runScenario('split', {
+            trackRecords: { 'gemini-skeptic': { weight: 3, calibration: { '70': { calibratedConfidence: 82 } } } }
+        });
+        const skeptic = agentResult(resolution, 'gemini-skeptic');
+        check('outcome is NO', resolution.outcome === 'NO', resolution.outcome);
+        check('skeptic weight scaled to 3', skeptic?.weight === 3, skeptic?.weight);
+        check('skeptic confidence calibrated 75 -> 82', skeptic?.confidence === 82 && skeptic?.rawConfidence === 75, JSON.stringify(skeptic));
+    });
+
+    await test('Track record weights follow accuracy', async () => {
+        const fresh = summarizeTrackRecord({ agent: 'new', votes: 3, correct: 0 });
+        const strong = summarizeTrackRecord({ agent: 'strong', votes: 40, correct: 38 });
+        const weak = summarizeTrackRecord({ agent: 'weak', votes: 40, correct: 20 });
+        check('too few votes keeps weight 1', fresh.weight === 1, fresh.weight);
+        check('accurate agent weighs more than 1', strong.weight > 1, strong.weight);
+        check('coin-flip agent drops to the minimum weight', weak.weight === 0.25, weak.weight);
+    });
+
+    await test('Moderation parses flagged and malformed responses', async () => {
+        const client = createReplayModelClient(loadScenario('moderation'));
+        const flagged = await moderateContentWithGemini('You are all idiots', client);
+        check('flagged verdict parsed', flagged.flagged === true && flagged.categories.includes('harassment'), JSON.stringify(flagged));
+        const malformed = await moderateContentWithGemini('Nice market', client);
+        check('no JSON is treated as not flagged', malformed.flagged === false && !malformed.error, JSON.stringify(malformed));
+    });
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`${failed === 0 ? '✅' : '❌'} ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exitCode = 1;
+}
+
+runTests();